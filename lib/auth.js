@@ -0,0 +1,216 @@
+// lib/auth.js
+// Local accounts for the writing workspace: scrypt-hashed passwords, signed
+// session cookies and personal API tokens (Bearer). Users live in
+// data/users.json; only token hashes are stored.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+export const ROLES = ["admin", "writer"];
+export const AUTH_COOKIE = "hanza_auth";
+const USERNAME_RE = /^[a-z0-9._-]{3,32}$/i;
+const TOKEN_PREFIX = "hz_";
+const MIN_PASSWORD = 8;
+
+/* ---------------- Passwords ---------------- */
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT.keylen, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+  return `scrypt$${SCRYPT.N}$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+export function verifyPassword(password, stored = "") {
+  const [scheme, n, salt, hash] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, "base64"), expected.length, { N: Number(n), r: SCRYPT.r, p: SCRYPT.p });
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+const sha256 = (s) => crypto.createHash("sha256").update(String(s)).digest("hex");
+
+export function parseCookies(header = "") {
+  const out = {};
+  for (const part of String(header).split(";")) {
+    const i = part.indexOf("=");
+    if (i < 0) continue;
+    const k = part.slice(0, i).trim();
+    if (k) try { out[k] = decodeURIComponent(part.slice(i + 1).trim()); } catch { /* malformed value */ }
+  }
+  return out;
+}
+
+const authError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+/* ---------------- Store ---------------- */
+// secret signs cookies; ttlHours bounds a login. `version` on each user lets
+// a password change or "log out everywhere" invalidate existing cookies.
+export function createAuth({ file, secret, ttlHours = 24 * 14 } = {}) {
+  if (!secret) throw new Error("createAuth: secret is required");
+
+  const read = () => {
+    try { return JSON.parse(fs.readFileSync(file, "utf8")); } catch { return { users: [] }; }
+  };
+  const write = (db) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(db, null, 2), { encoding: "utf8", mode: 0o600 });
+    fs.renameSync(tmp, file);
+  };
+  const mutate = (fn) => { const db = read(); const out = fn(db); write(db); return out; };
+
+  const publicUser = (u) => u && ({
+    id: u.id,
+    username: u.username,
+    role: u.role,
+    createdAt: u.createdAt,
+    tokens: (u.tokens || []).map(({ id, name, createdAt, lastUsedAt }) => ({ id, name, createdAt, lastUsedAt: lastUsedAt || null }))
+  });
+
+  const validate = ({ username, password, role }, { partial = false } = {}) => {
+    if (!partial || username !== undefined) {
+      if (!USERNAME_RE.test(String(username || ""))) throw authError("Username must be 3–32 letters, digits, '.', '_' or '-'.");
+    }
+    if (!partial || password !== undefined) {
+      if (String(password || "").length < MIN_PASSWORD) throw authError(`Password must be at least ${MIN_PASSWORD} characters.`);
+    }
+    if (role !== undefined && !ROLES.includes(role)) throw authError(`Role must be one of: ${ROLES.join(", ")}.`);
+  };
+
+  const sign = (payload) => crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+
+  return {
+    hasUsers: () => read().users.length > 0,
+    listUsers: () => read().users.map(publicUser),
+    getUser: (id) => publicUser(read().users.find(u => u.id === id)),
+    publicUser,
+
+    createUser({ username, password, role = "writer" } = {}) {
+      validate({ username, password, role });
+      return publicUser(mutate(db => {
+        if (db.users.some(u => u.username.toLowerCase() === String(username).toLowerCase())) {
+          throw authError("Username already taken.", 409);
+        }
+        const user = {
+          id: crypto.randomUUID(),
+          username: String(username),
+          role,
+          passwordHash: hashPassword(password),
+          version: 1,
+          tokens: [],
+          createdAt: new Date().toISOString()
+        };
+        db.users.push(user);
+        return user;
+      }));
+    },
+
+    // { role, password }; a new password also signs the user out everywhere.
+    updateUser(id, { role, password } = {}) {
+      validate({ role, password }, { partial: true });
+      return publicUser(mutate(db => {
+        const u = db.users.find(x => x.id === id);
+        if (!u) return null;
+        if (role !== undefined && u.role === "admin" && role !== "admin" && db.users.filter(x => x.role === "admin").length === 1) {
+          throw authError("Cannot demote the last admin.", 409);
+        }
+        if (role !== undefined) u.role = role;
+        if (password !== undefined) { u.passwordHash = hashPassword(password); u.version = (u.version || 1) + 1; }
+        return u;
+      }));
+    },
+
+    deleteUser(id) {
+      return mutate(db => {
+        const u = db.users.find(x => x.id === id);
+        if (!u) return false;
+        if (u.role === "admin" && db.users.filter(x => x.role === "admin").length === 1) throw authError("Cannot delete the last admin.", 409);
+        db.users = db.users.filter(x => x.id !== id);
+        return true;
+      });
+    },
+
+    login(username, password) {
+      const u = read().users.find(x => x.username.toLowerCase() === String(username || "").toLowerCase());
+      // Hash anyway so unknown usernames cost the same as wrong passwords.
+      if (!u) { verifyPassword(password, hashPassword("not-a-user")); return null; }
+      return verifyPassword(password, u.passwordHash) ? publicUser(u) : null;
+    },
+
+    logoutEverywhere(id) {
+      return mutate(db => {
+        const u = db.users.find(x => x.id === id);
+        if (u) u.version = (u.version || 1) + 1;
+        return !!u;
+      });
+    },
+
+    /* ----- Cookies: <userId>.<version>.<expiresMs>.<hmac> ----- */
+    issueCookie(user) {
+      const u = read().users.find(x => x.id === user.id);
+      const payload = `${u.id}.${u.version || 1}.${Date.now() + ttlHours * 3600_000}`;
+      return `${payload}.${sign(payload)}`;
+    },
+    verifyCookie(value = "") {
+      const parts = String(value).split(".");
+      if (parts.length !== 4) return null;
+      const payload = parts.slice(0, 3).join(".");
+      const given = Buffer.from(parts[3]);
+      const want = Buffer.from(sign(payload));
+      if (given.length !== want.length || !crypto.timingSafeEqual(given, want)) return null;
+      const [id, version, expires] = parts;
+      if (Date.now() > Number(expires)) return null;
+      const u = read().users.find(x => x.id === id);
+      return u && String(u.version || 1) === version ? publicUser(u) : null;
+    },
+    cookieMaxAge: ttlHours * 3600,
+
+    /* ----- API tokens (shown once; stored as sha256) ----- */
+    createToken(userId, name = "API token") {
+      const plain = TOKEN_PREFIX + crypto.randomBytes(24).toString("base64url");
+      const token = { id: crypto.randomUUID(), name: String(name || "API token").slice(0, 60), hash: sha256(plain), createdAt: new Date().toISOString() };
+      const ok = mutate(db => {
+        const u = db.users.find(x => x.id === userId);
+        if (!u) return false;
+        (u.tokens ||= []).push(token);
+        return true;
+      });
+      return ok ? { id: token.id, name: token.name, createdAt: token.createdAt, token: plain } : null;
+    },
+    revokeToken(userId, tokenId) {
+      return mutate(db => {
+        const u = db.users.find(x => x.id === userId);
+        if (!u) return false;
+        const before = (u.tokens || []).length;
+        u.tokens = (u.tokens || []).filter(t => t.id !== tokenId);
+        return u.tokens.length !== before;
+      });
+    },
+    verifyToken(plain = "") {
+      if (!String(plain).startsWith(TOKEN_PREFIX)) return null;
+      const h = sha256(plain);
+      const db = read();
+      for (const u of db.users) {
+        const t = (u.tokens || []).find(x => x.hash === h);
+        if (!t) continue;
+        // lastUsedAt is informational; refresh at most once a minute
+        if (!t.lastUsedAt || Date.now() - Date.parse(t.lastUsedAt) > 60_000) { t.lastUsedAt = new Date().toISOString(); write(db); }
+        return publicUser(u);
+      }
+      return null;
+    }
+  };
+}
+
+// Secret from env, else generated once and kept next to the data.
+export function loadAuthSecret(file, envValue) {
+  if (envValue) return envValue;
+  try { return fs.readFileSync(file, "utf8").trim(); } catch { /* first run */ }
+  const secret = crypto.randomBytes(32).toString("base64url");
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, secret, { encoding: "utf8", mode: 0o600 });
+  return secret;
+}
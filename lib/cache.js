@@ -0,0 +1,190 @@
+// lib/cache.js
+// Response cache for model calls. Identical requests (same provider, model,
+// messages and token budget, after whitespace normalization) are answered from
+// an in-memory LRU backed by one JSON file per entry under data/cache/, until
+// their TTL runs out. Concurrent identical requests share one upstream call
+// whether or not storing is enabled.
+//
+// withCache(provider, cache) keeps the provider surface (check/complete/stream/
+// health) and adds cacheStats(). Calls pass `cache: false` to skip the lookup
+// and the sharing (e.g. Regenerate); the fresh answer still replaces the stored one.
+// Answers that didn't come from this call's own upstream round are marked
+// `cached: true` (stored) or `coalesced: true` (shared) so they aren't billed twice.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { upstreamError } from "./upstream.js";
+import { createLogger } from "./logger.js";
+
+const KEY_RE = /^[a-f0-9]{64}$/;
+
+const normalizeContent = (c) => (typeof c === "string"
+  ? c.replace(/\r\n?/g, "\n").replace(/[ \t]+$/gm, "").replace(/[ \t]+/g, " ").trim()
+  : JSON.stringify(c ?? ""));
+
+export function cacheKey({ provider = "", model = "", messages = [], maxTokens = null }) {
+  const input = messages.map(m => [m.role, normalizeContent(m.content)]);
+  const basis = JSON.stringify([String(provider).toLowerCase(), String(model).trim().toLowerCase(), Number(maxTokens) || null, input]);
+  return crypto.createHash("sha256").update(basis).digest("hex");
+}
+
+// `enabled: false` keeps coalescing but never stores or serves stored answers.
+export function createResponseCache(dir, { enabled = true, ttlMs = 86_400_000, maxEntries = 500, maxDiskEntries = 5000, log = createLogger() } = {}) {
+  if (enabled) fs.mkdirSync(dir, { recursive: true });
+  const memory = new Map(); // key -> { value, expiresAt }, oldest first
+  const stats = { hits: 0, diskHits: 0, misses: 0, stores: 0, coalesced: 0, bypassed: 0 };
+  let writes = 0;
+
+  const fileFor = (key) => path.join(dir, `${key}.json`);
+  const remember = (key, entry) => {
+    memory.delete(key);
+    memory.set(key, entry);
+    while (memory.size > maxEntries) memory.delete(memory.keys().next().value);
+  };
+  const drop = (key) => {
+    memory.delete(key);
+    fs.rm(fileFor(key), { force: true }, () => {});
+  };
+
+  // Oldest files go first once the folder outgrows maxDiskEntries.
+  function pruneDisk() {
+    let names;
+    try { names = fs.readdirSync(dir).filter(n => KEY_RE.test(n.replace(/\.json$/, ""))); } catch { return; }
+    const now = Date.now();
+    const files = names.map(n => {
+      try { return { n, mtime: fs.statSync(path.join(dir, n)).mtimeMs }; } catch { return null; }
+    }).filter(Boolean);
+    const expired = files.filter(f => f.mtime + ttlMs <= now);
+    const live = files.filter(f => f.mtime + ttlMs > now).sort((a, b) => a.mtime - b.mtime);
+    for (const f of [...expired, ...live.slice(0, Math.max(0, live.length - maxDiskEntries))]) {
+      fs.rmSync(path.join(dir, f.n), { force: true });
+    }
+  }
+  if (enabled) pruneDisk();
+
+  return {
+    enabled,
+
+    get(key) {
+      if (!enabled) return null;
+      const now = Date.now();
+      let entry = memory.get(key);
+      const fromDisk = !entry;
+      if (fromDisk) {
+        try { entry = JSON.parse(fs.readFileSync(fileFor(key), "utf8")); } catch { entry = null; }
+      }
+      if (!entry || !(entry.expiresAt > now)) {
+        if (entry) drop(key);
+        stats.misses++;
+        return null;
+      }
+      remember(key, entry);
+      stats.hits++;
+      if (fromDisk) stats.diskHits++;
+      return entry.value;
+    },
+
+    set(key, value) {
+      if (!enabled) return;
+      const entry = { value, at: new Date().toISOString(), expiresAt: Date.now() + ttlMs };
+      remember(key, entry);
+      stats.stores++;
+      const tmp = `${fileFor(key)}.tmp`;
+      try {
+        fs.writeFileSync(tmp, JSON.stringify(entry), "utf8");
+        fs.renameSync(tmp, fileFor(key));
+      } catch (e) { log.warn("response cache write failed", { error: e }); }
+      if (++writes % 50 === 0) pruneDisk();
+    },
+
+    clear() {
+      memory.clear();
+      if (enabled) for (const n of fs.readdirSync(dir)) if (n.endsWith(".json")) fs.rmSync(path.join(dir, n), { force: true });
+    },
+
+    count(name) { stats[name]++; },
+
+    stats() {
+      const lookups = stats.hits + stats.misses;
+      return { enabled, ttlMs, entries: memory.size, ...stats, hitRate: lookups ? Math.round((stats.hits / lookups) * 1000) / 1000 : null };
+    }
+  };
+}
+
+/* ---------------- Wrapper ---------------- */
+export function withCache(provider, cache) {
+  // key -> { text, streaming, listeners, refs, controller, promise }
+  const inflight = new Map();
+
+  // Every caller of a shared call holds a ref; the upstream call is aborted
+  // only once all of them have gone.
+  function join(entry, { signal, onDelta }) {
+    entry.refs++;
+    if (onDelta) {
+      if (entry.text) onDelta(entry.text);
+      entry.listeners.add(onDelta);
+    }
+    let onAbort = null;
+    const aborted = new Promise((_, reject) => {
+      if (!signal) return;
+      onAbort = () => reject(upstreamError("Request was canceled.", { code: "aborted" }));
+      if (signal.aborted) onAbort(); else signal.addEventListener("abort", onAbort, { once: true });
+    });
+    const leave = () => {
+      if (onAbort) signal.removeEventListener("abort", onAbort);
+      if (onDelta) entry.listeners.delete(onDelta);
+      if (--entry.refs === 0 && !entry.settled) entry.controller.abort(signal?.reason);
+    };
+    return Promise.race([entry.promise, aborted]).then(
+      (result) => { leave(); return result; },
+      (e) => { leave(); throw e; }
+    );
+  }
+
+  function call(kind, messages, opts = {}) {
+    const { signal, onDelta, cache: useCache = true, ...rest } = opts;
+    const key = cacheKey({ provider: provider.name, model: provider.model, messages, maxTokens: rest.maxTokens });
+    const streaming = kind === "stream";
+
+    if (useCache === false) cache.count("bypassed");
+    else {
+      const shared = inflight.get(key);
+      if (shared) {
+        cache.count("coalesced");
+        // A stream joining a non-streamed call gets the whole text at the end.
+        return join(shared, { signal, onDelta: shared.streaming ? onDelta : null }).then(result => {
+          if (streaming && !shared.streaming && result.text) onDelta?.(result.text);
+          return { ...result, coalesced: true };
+        });
+      }
+      const hit = cache.get(key);
+      if (hit) {
+        if (streaming && hit.text) onDelta?.(hit.text);
+        return Promise.resolve({ ...hit, cached: true });
+      }
+    }
+
+    const entry = { text: "", streaming, listeners: new Set(), refs: 0, controller: new AbortController(), settled: false };
+    const upstreamOpts = { ...rest, signal: entry.controller.signal };
+    if (streaming) upstreamOpts.onDelta = (d) => { entry.text += d; for (const fn of entry.listeners) fn(d); };
+    entry.promise = provider[kind](messages, upstreamOpts).then(result => {
+      entry.settled = true;
+      if (String(result?.text || "").trim()) cache.set(key, { text: result.text, incompleteReason: result.incompleteReason ?? null, raw: result.raw ?? null });
+      return result;
+    }).finally(() => {
+      entry.settled = true;
+      if (inflight.get(key) === entry) inflight.delete(key);
+    });
+    // Bypassing calls don't share their round, so a Regenerate stays fresh.
+    if (useCache !== false) inflight.set(key, entry);
+    return join(entry, { signal, onDelta: streaming ? onDelta : null });
+  }
+
+  return {
+    ...provider,
+    complete: (messages, opts) => call("complete", messages, opts),
+    stream: (messages, opts) => call("stream", messages, opts),
+    cacheStats: () => ({ ...cache.stats(), inflight: inflight.size })
+  };
+}
@@ -0,0 +1,84 @@
+// lib/embeddings.js
+// Swappable embedding providers. The OpenAI provider is used in production;
+// the hash provider is a deterministic, offline stand-in (bag of hashed words)
+// so retrieval can be exercised without network access.
+
+const OPENAI_EMBEDDINGS_URL = "https://api.openai.com/v1/embeddings";
+
+/* ---------------- OpenAI ---------------- */
+export function createOpenAIEmbedder({
+  apiKey = process.env.OPENAI_API_KEY,
+  model = process.env.OPENAI_EMBED_MODEL || "text-embedding-3-small",
+  url = OPENAI_EMBEDDINGS_URL
+} = {}) {
+  return {
+    name: "openai",
+    model,
+    async embed(texts = [], { signal } = {}) {
+      if (!texts.length) return [];
+      if (!apiKey) throw new Error("OPENAI_API_KEY is missing");
+      const r = await fetch(url, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${apiKey}`, "Content-Type": "application/json" },
+        body: JSON.stringify({ input: texts, model }),
+        signal
+      });
+      if (!r.ok) {
+        const msg = await r.text().catch(()=> "");
+        const err = new Error(`Embeddings API error ${r.status}: ${msg}`);
+        err.status = r.status;
+        err.retryAfter = r.headers.get("retry-after");
+        throw err;
+      }
+      const data = await r.json();
+      return data.data.map(d => d.embedding);
+    }
+  };
+}
+
+/* ---------------- Deterministic stand-in ---------------- */
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+export function tokenizeWords(text = "") {
+  return String(text).toLowerCase().match(/[a-z0-9]+(?:'[a-z]+)?/g) || [];
+}
+
+export function createHashEmbedder({ dims = 256 } = {}) {
+  const vec = (text) => {
+    const v = new Array(dims).fill(0);
+    for (const w of tokenizeWords(text)) {
+      const h = fnv1a(w);
+      v[h % dims] += (h & 0x80000000) ? -1 : 1;
+    }
+    const norm = Math.sqrt(v.reduce((s, x) => s + x * x, 0)) || 1;
+    return v.map(x => x / norm);
+  };
+  return {
+    name: "hash",
+    model: `local-hash-${dims}`,
+    async embed(texts = []) { return texts.map(vec); }
+  };
+}
+
+/* ---------------- Selection ---------------- */
+// EMBED_PROVIDER=openai|hash. Defaults to openai when a key is present.
+export function embedderFromEnv(env = process.env) {
+  const kind = String(env.EMBED_PROVIDER || (env.OPENAI_API_KEY ? "openai" : "hash")).toLowerCase();
+  if (kind === "hash") return createHashEmbedder({ dims: Number(env.EMBED_HASH_DIMS || 256) });
+  return createOpenAIEmbedder({ apiKey: env.OPENAI_API_KEY, model: env.OPENAI_EMBED_MODEL || "text-embedding-3-small" });
+}
+
+let current = null;
+export function getEmbedder() {
+  if (!current) current = embedderFromEnv();
+  return current;
+}
+export function setEmbedder(embedder) {
+  current = embedder || null;
+}
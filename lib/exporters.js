@@ -0,0 +1,460 @@
+// lib/exporters.js
+// Renders a transcript — or a single assistant reply as a clean blog draft —
+// to md / html / pdf / docx. Replies are Markdown; every format goes through
+// the same marked token stream so headings, lists, emphasis, code and links
+// come out as layout rather than literal syntax.
+
+import PDFDocument from "pdfkit";
+import { Marked, Lexer } from "marked";
+import {
+  Document, Packer, Paragraph, TextRun, ExternalHyperlink, HeadingLevel,
+  AlignmentType, Footer, PageNumber, PageBreak, BorderStyle, ShadingType, LevelFormat
+} from "docx";
+import { stringifyFrontMatter } from "./frontmatter.js";
+
+export const EXPORT_FORMATS = ["pdf", "md", "html", "docx"];
+export const EXPORT_MIME = {
+  pdf: "application/pdf",
+  md: "text/markdown; charset=utf-8",
+  html: "text/html; charset=utf-8",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+};
+
+const ROLE_LABEL = { user: "You", assistant: "Hanza" };
+
+/* ---------------- Document model ---------------- */
+// scope "reply" keeps one assistant turn (replyIndex into transcript, default
+// the last one) and drops role labels; a leading H1 becomes the title unless
+// one is given. `seo` ({ slug, metaDescription, keyword, og }) rides along
+// with a reply as front matter / meta tags / document properties.
+export function buildExportDoc({ transcript = [], title = "", scope = "transcript", replyIndex = null, seo = null, date = new Date() } = {}) {
+  const turns = transcript.map(t => ({ role: t.role === "user" ? "user" : "assistant", text: String(t.text ?? t.content ?? "") }));
+
+  if (scope === "reply") {
+    let idx = Number.isInteger(replyIndex) ? replyIndex : -1;
+    if (idx < 0) idx = turns.map(t => t.role).lastIndexOf("assistant");
+    const turn = turns[idx];
+    if (!turn || turn.role !== "assistant") throw new Error("No assistant reply to export.");
+    let markdown = turn.text.replace(/\r\n?/g, "\n").trim();
+    const h1 = markdown.match(/^#\s+(.+)\n*/);
+    if (h1) markdown = markdown.slice(h1[0].length);
+    return { title: title || h1?.[1].trim() || "Draft", date, scope, seo: seo || null, sections: [{ label: null, markdown }] };
+  }
+
+  return {
+    title: title || "Hanza session",
+    date,
+    scope: "transcript",
+    sections: turns.filter(t => t.text.trim()).map(t => ({ label: ROLE_LABEL[t.role], markdown: t.text }))
+  };
+}
+
+const formatDate = (d) => new Date(d).toLocaleDateString("en-GB", { year: "numeric", month: "long", day: "numeric" });
+
+/* ---------------- Markdown ---------------- */
+// Transcript keeps the long-standing "You:/Hanza:" layout; a reply is a plain post.
+function renderMarkdownFile(doc) {
+  if (doc.scope === "reply") {
+    const body = `# ${doc.title}\n\n${doc.sections[0].markdown}\n`;
+    if (!doc.seo) return body;
+    const { seo } = doc;
+    return stringifyFrontMatter({
+      title: seo.title || doc.title,
+      slug: seo.slug,
+      description: seo.metaDescription,
+      keyword: seo.keyword,
+      og_title: seo.og?.title,
+      og_description: seo.og?.description,
+      og_type: seo.og?.type
+    }, body);
+  }
+  return doc.sections.map(s => `${s.label}:\n${s.markdown}\n`).join("\n---\n\n");
+}
+
+/* ---------------- HTML ---------------- */
+const escapeHtml = (s = "") => String(s).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+
+// Links and images keep http(s), mailto and relative URLs only. Anything with
+// another scheme, or an entity that could hide one ("javascript&#58;…"), is dropped.
+function safeUrl(href = "") {
+  const url = String(href).replace(/[\u0000-\u0020\u007f]+/g, "");
+  if (/^(https?:|mailto:)/i.test(url)) return true;
+  return !/[:&]/.test(url.split(/[/?#]/)[0]);
+}
+
+// Raw HTML in a reply is shown as text, never injected into the export; links
+// with unsafe URLs keep their text, images their alt text.
+const htmlMarked = new Marked({
+  gfm: true,
+  renderer: {
+    html: ({ text }) => escapeHtml(text),
+    link(token) { return safeUrl(token.href) ? false : this.parser.parseInline(token.tokens); },
+    image(token) { return safeUrl(token.href) ? false : escapeHtml(token.text); }
+  }
+});
+export const markdownToHtml = (markdown = "") => htmlMarked.parse(String(markdown));
+
+const HTML_STYLE = `
+  body{font:17px/1.65 Georgia,"Times New Roman",serif;color:#1d1d1f;max-width:760px;margin:48px auto;padding:0 20px}
+  header{border-bottom:1px solid #e5e5ea;margin-bottom:32px;padding-bottom:16px}
+  header h1{font-size:34px;line-height:1.2;margin:0 0 6px}
+  header time{color:#6e6e73;font-size:14px}
+  h1,h2,h3,h4{font-family:-apple-system,"Segoe UI",Helvetica,Arial,sans-serif;line-height:1.3}
+  .turn{margin:0 0 28px}
+  .role{font:600 13px -apple-system,"Segoe UI",Helvetica,Arial,sans-serif;color:#6e6e73;text-transform:uppercase;letter-spacing:.04em}
+  .turn.you{background:#f5f5f7;border-radius:10px;padding:10px 16px}
+  pre{background:#f6f6f6;border:1px solid #eee;border-radius:8px;padding:12px;overflow:auto}
+  code{font:14px/1.5 Menlo,Consolas,monospace}
+  blockquote{border-left:3px solid #d2d2d7;margin:0;padding-left:16px;color:#515154}
+  a{color:#0a66c2}
+  table{border-collapse:collapse}td,th{border:1px solid #ddd;padding:6px 10px}`;
+
+function seoHead(seo) {
+  if (!seo) return "";
+  const tags = [
+    ["name", "description", seo.metaDescription],
+    ["name", "keywords", seo.keyword],
+    ["property", "og:title", seo.og?.title],
+    ["property", "og:description", seo.og?.description],
+    ["property", "og:type", seo.og?.type]
+  ].filter(([, , v]) => v);
+  return tags.map(([attr, key, v]) => `<meta ${attr}="${key}" content="${escapeHtml(v)}">\n`).join("");
+}
+
+function renderHtml(doc) {
+  const body = doc.scope === "reply"
+    ? htmlMarked.parse(doc.sections[0].markdown)
+    : doc.sections.map(s =>
+        `<section class="turn ${s.label === ROLE_LABEL.user ? "you" : "bot"}">\n<div class="role">${escapeHtml(s.label)}</div>\n${htmlMarked.parse(s.markdown)}</section>`
+      ).join("\n");
+  const iso = new Date(doc.date).toISOString();
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(doc.seo?.title || doc.title)}</title>
+${seoHead(doc.seo)}<style>${HTML_STYLE}</style>
+</head>
+<body>
+<article>
+<header><h1>${escapeHtml(doc.title)}</h1><time datetime="${iso}">${escapeHtml(formatDate(doc.date))}</time></header>
+${body}
+</article>
+</body>
+</html>
+`;
+}
+
+/* ---------------- Inline runs (shared by PDF + DOCX) ---------------- */
+const decodeEntities = (s = "") => String(s)
+  .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, "&");
+
+// Flattens marked inline tokens into styled runs: { text, bold, italic, code, strike, link }.
+function inlineRuns(tokens = [], style = {}) {
+  const out = [];
+  for (const t of tokens) {
+    switch (t.type) {
+      case "strong":   out.push(...inlineRuns(t.tokens, { ...style, bold: true })); break;
+      case "em":       out.push(...inlineRuns(t.tokens, { ...style, italic: true })); break;
+      case "del":      out.push(...inlineRuns(t.tokens, { ...style, strike: true })); break;
+      case "codespan": out.push({ ...style, code: true, text: decodeEntities(t.text) }); break;
+      case "link":     out.push(...inlineRuns(t.tokens, safeUrl(t.href) ? { ...style, link: t.href } : style)); break;
+      case "image":    out.push({ ...style, text: t.text ? `[${t.text}]` : "" }); break;
+      case "br":       out.push({ ...style, text: "\n" }); break;
+      case "text":
+        if (t.tokens?.length) out.push(...inlineRuns(t.tokens, style));
+        else out.push({ ...style, text: decodeEntities(t.text) });
+        break;
+      default:         out.push({ ...style, text: decodeEntities(t.text ?? t.raw ?? "") });
+    }
+  }
+  return out.filter(r => r.text);
+}
+
+// List items and loose paragraphs carry either inline tokens or block tokens.
+const itemBlocks = (item) => item.tokens || [];
+
+/* ---------------- PDF ---------------- */
+const PDF = {
+  margin: 64,
+  body: 11.5,
+  heading: [0, 22, 17, 14.5, 12.5, 11.5, 11.5],
+  color: "#1d1d1f",
+  muted: "#6e6e73",
+  link: "#0a66c2",
+  codeBg: "#f4f4f5"
+};
+
+function pdfFont(r) {
+  if (r.code) return "Courier";
+  if (r.bold && r.italic) return "Helvetica-BoldOblique";
+  if (r.bold) return "Helvetica-Bold";
+  if (r.italic) return "Helvetica-Oblique";
+  return "Helvetica";
+}
+
+function pdfRuns(pdf, runs, { size = PDF.body, color = PDF.color, indent = 0, gap = 6 } = {}) {
+  if (!runs.length) return;
+  const x = PDF.margin + indent;
+  const width = pdf.page.width - PDF.margin * 2 - indent;
+  runs.forEach((r, i) => {
+    const last = i === runs.length - 1;
+    pdf.font(pdfFont(r)).fontSize(r.code ? size - 1 : size).fillColor(r.link ? PDF.link : color);
+    const opts = { continued: !last, link: r.link || null, underline: !!r.link, strike: !!r.strike, lineGap: 2, paragraphGap: last ? gap : 0 };
+    if (i === 0) pdf.text(r.text, x, pdf.y, { ...opts, width });
+    else pdf.text(r.text, opts);
+  });
+}
+
+function pdfBlocks(pdf, tokens = [], ctx = {}) {
+  const indent = ctx.indent || 0;
+  const color = ctx.color || PDF.color;
+  for (const t of tokens) {
+    switch (t.type) {
+      case "heading": {
+        const size = PDF.heading[t.depth] || PDF.body;
+        pdf.moveDown(t.depth <= 2 ? 0.6 : 0.3);
+        pdfRuns(pdf, inlineRuns(t.tokens, { bold: true }), { size, color, indent, gap: 4 });
+        break;
+      }
+      case "paragraph":
+        pdfRuns(pdf, inlineRuns(t.tokens), { color, indent });
+        break;
+      case "text":
+        pdfRuns(pdf, inlineRuns(t.tokens?.length ? t.tokens : [t]), { color, indent, gap: 3 });
+        break;
+      case "list": {
+        let n = Number(t.start) || 1;
+        for (const item of t.items) {
+          const marker = t.ordered ? `${n++}.` : "•";
+          const y = pdf.y;
+          pdf.font("Helvetica").fontSize(PDF.body).fillColor(color)
+            .text(marker, PDF.margin + indent, y, { width: 18, lineBreak: false });
+          pdf.y = y;
+          pdfBlocks(pdf, itemBlocks(item), { ...ctx, indent: indent + 20, tight: !t.loose });
+        }
+        pdf.moveDown(0.3);
+        break;
+      }
+      case "code": {
+        const width = pdf.page.width - PDF.margin * 2 - indent;
+        pdf.font("Courier").fontSize(9.5);
+        const h = pdf.heightOfString(t.text, { width: width - 16, lineGap: 1 }) + 12;
+        if (pdf.y + h > pdf.page.height - PDF.margin) pdf.addPage();
+        const top = pdf.y;
+        pdf.save().roundedRect(PDF.margin + indent, top, width, h, 4).fill(PDF.codeBg).restore();
+        pdf.fillColor("#222").text(t.text, PDF.margin + indent + 8, top + 6, { width: width - 16, lineGap: 1 });
+        pdf.y = top + h + 8;
+        break;
+      }
+      case "blockquote": {
+        const top = pdf.y;
+        pdfBlocks(pdf, t.tokens, { ...ctx, indent: indent + 14, color: PDF.muted });
+        pdf.save().moveTo(PDF.margin + indent + 3, top).lineTo(PDF.margin + indent + 3, pdf.y - 6)
+          .lineWidth(2).strokeColor("#d2d2d7").stroke().restore();
+        break;
+      }
+      case "hr": {
+        pdf.moveDown(0.4);
+        const y = pdf.y;
+        pdf.save().moveTo(PDF.margin, y).lineTo(pdf.page.width - PDF.margin, y).lineWidth(0.5).strokeColor("#d2d2d7").stroke().restore();
+        pdf.moveDown(0.8);
+        break;
+      }
+      case "table": {
+        const rows = [t.header, ...t.rows];
+        rows.forEach((row, i) => {
+          const runs = row.flatMap((cell, j) => [...(j ? [{ text: "  |  " }] : []), ...inlineRuns(cell.tokens, { bold: i === 0 })]);
+          pdfRuns(pdf, runs, { color, indent, gap: 2 });
+        });
+        pdf.moveDown(0.4);
+        break;
+      }
+      case "space":
+        if (!ctx.tight) pdf.moveDown(0.2);
+        break;
+      default:
+        if (t.text) pdfRuns(pdf, [{ text: decodeEntities(t.text) }], { color, indent });
+    }
+  }
+}
+
+function renderPdf(doc) {
+  const pdf = new PDFDocument({ margin: PDF.margin, bufferPages: true, info: { Title: doc.title, Author: "Hanza", ...(doc.seo ? { Subject: doc.seo.metaDescription || undefined, Keywords: doc.seo.keyword || undefined } : {}) } });
+  const chunks = [];
+  pdf.on("data", c => chunks.push(c));
+  const done = new Promise((resolve, reject) => {
+    pdf.on("end", () => resolve(Buffer.concat(chunks)));
+    pdf.on("error", reject);
+  });
+
+  // Cover
+  const w = pdf.page.width - PDF.margin * 2;
+  pdf.font("Helvetica-Bold").fontSize(30).fillColor(PDF.color)
+    .text(doc.title, PDF.margin, pdf.page.height * 0.36, { width: w, align: "left" });
+  pdf.moveDown(0.6);
+  pdf.font("Helvetica").fontSize(13).fillColor(PDF.muted).text(formatDate(doc.date), { width: w });
+  pdf.text(doc.scope === "reply" ? "Draft" : "Conversation with Hanza", { width: w });
+
+  // Body
+  pdf.addPage();
+  doc.sections.forEach((s, i) => {
+    if (s.label) {
+      if (i) pdf.moveDown(0.8);
+      pdf.font("Helvetica-Bold").fontSize(10).fillColor(PDF.muted).text(s.label.toUpperCase(), PDF.margin, pdf.y, { characterSpacing: 0.6 });
+      pdf.moveDown(0.3);
+    }
+    pdfBlocks(pdf, new Lexer({ gfm: true }).lex(s.markdown));
+  });
+
+  // Page numbers on body pages (the cover is unnumbered)
+  const { start, count } = pdf.bufferedPageRange();
+  for (let i = start + 1; i < start + count; i++) {
+    pdf.switchToPage(i);
+    const bottom = pdf.page.margins.bottom;
+    pdf.page.margins.bottom = 0; // writing inside the margin must not spill onto a new page
+    pdf.font("Helvetica").fontSize(9).fillColor(PDF.muted)
+      .text(`${i - start} / ${count - 1}`, PDF.margin, pdf.page.height - bottom / 2 - 4, { width: w, align: "center", lineBreak: false });
+    pdf.page.margins.bottom = bottom;
+  }
+
+  pdf.end();
+  return done;
+}
+
+/* ---------------- DOCX ---------------- */
+const DOCX_HEADING = [null, HeadingLevel.HEADING_1, HeadingLevel.HEADING_2, HeadingLevel.HEADING_3, HeadingLevel.HEADING_4, HeadingLevel.HEADING_5, HeadingLevel.HEADING_6];
+
+function docxInline(runs) {
+  return runs.map(r => {
+    const run = new TextRun({
+      text: r.text.replace(/\n/g, " "),
+      bold: r.bold || undefined,
+      italics: r.italic || undefined,
+      strike: r.strike || undefined,
+      font: r.code ? "Courier New" : undefined,
+      style: r.link ? "Hyperlink" : undefined
+    });
+    return r.link ? new ExternalHyperlink({ link: r.link, children: [run] }) : run;
+  });
+}
+
+function docxBlocks(tokens = [], ctx = {}) {
+  const out = [];
+  const level = ctx.level || 0;
+  for (const t of tokens) {
+    switch (t.type) {
+      case "heading":
+        out.push(new Paragraph({ heading: DOCX_HEADING[t.depth], children: docxInline(inlineRuns(t.tokens)) }));
+        break;
+      case "paragraph":
+      case "text":
+        out.push(new Paragraph({
+          children: docxInline(inlineRuns(t.tokens?.length ? t.tokens : [t])),
+          ...(ctx.list ? ctx.list : {}),
+          ...(ctx.quote ? { indent: { left: 480 }, border: { left: { style: BorderStyle.SINGLE, size: 12, color: "D2D2D7", space: 8 } } } : {})
+        }));
+        break;
+      case "list": {
+        const instance = ctx.nextInstance();
+        for (const item of t.items) {
+          const list = t.ordered ? { numbering: { reference: "ordered", level, instance } } : { bullet: { level } };
+          let first = true;
+          for (const b of itemBlocks(item)) {
+            if (b.type === "list") { out.push(...docxBlocks([b], { ...ctx, level: level + 1, list: null })); continue; }
+            // continuation paragraphs of an item are indented, not re-bulleted
+            out.push(...docxBlocks([b], { ...ctx, list: first ? list : { indent: { left: 720 * (level + 1) } } }));
+            if (b.type !== "space") first = false;
+          }
+        }
+        break;
+      }
+      case "code":
+        for (const line of t.text.split("\n")) {
+          out.push(new Paragraph({
+            spacing: { after: 0 },
+            shading: { type: ShadingType.CLEAR, fill: "F4F4F5", color: "auto" },
+            children: [new TextRun({ text: line || " ", font: "Courier New", size: 19 })]
+          }));
+        }
+        out.push(new Paragraph({ children: [] }));
+        break;
+      case "blockquote":
+        out.push(...docxBlocks(t.tokens, { ...ctx, quote: true }));
+        break;
+      case "hr":
+        out.push(new Paragraph({ border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: "D2D2D7", space: 1 } }, children: [] }));
+        break;
+      case "table":
+        for (const [i, row] of [t.header, ...t.rows].entries()) {
+          const runs = row.flatMap((cell, j) => [...(j ? [{ text: "  |  " }] : []), ...inlineRuns(cell.tokens, { bold: i === 0 })]);
+          out.push(new Paragraph({ children: docxInline(runs) }));
+        }
+        break;
+      case "space":
+        break;
+      default:
+        if (t.text) out.push(new Paragraph({ children: [new TextRun(decodeEntities(t.text))] }));
+    }
+  }
+  return out;
+}
+
+function renderDocx(doc) {
+  let instance = 0;
+  const ctx = { nextInstance: () => ++instance };
+
+  const children = [
+    new Paragraph({ heading: HeadingLevel.TITLE, spacing: { before: 2400 }, children: [new TextRun(doc.title)] }),
+    new Paragraph({ children: [new TextRun({ text: formatDate(doc.date), color: "6E6E73" })] }),
+    new Paragraph({ children: [new TextRun({ text: doc.scope === "reply" ? "Draft" : "Conversation with Hanza", color: "6E6E73" }), new PageBreak()] })
+  ];
+  for (const s of doc.sections) {
+    if (s.label) {
+      children.push(new Paragraph({ spacing: { before: 240 }, children: [new TextRun({ text: s.label.toUpperCase(), bold: true, size: 18, color: "6E6E73" })] }));
+    }
+    children.push(...docxBlocks(new Lexer({ gfm: true }).lex(s.markdown), ctx));
+  }
+
+  const ordered = {
+    reference: "ordered",
+    levels: [0, 1, 2, 3].map(level => ({
+      level,
+      format: [LevelFormat.DECIMAL, LevelFormat.LOWER_LETTER, LevelFormat.LOWER_ROMAN, LevelFormat.DECIMAL][level],
+      text: `%${level + 1}.`,
+      alignment: AlignmentType.START,
+      style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } }
+    }))
+  };
+
+  const file = new Document({
+    creator: "Hanza",
+    title: doc.title,
+    ...(doc.seo ? { description: doc.seo.metaDescription || undefined, keywords: doc.seo.keyword || undefined } : {}),
+    numbering: { config: [ordered] },
+    sections: [{
+      properties: { titlePage: true },
+      footers: {
+        default: new Footer({
+          children: [new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun({ children: [PageNumber.CURRENT, " / ", PageNumber.TOTAL_PAGES], size: 18, color: "6E6E73" })] })]
+        }),
+        first: new Footer({ children: [] })
+      },
+      children
+    }]
+  });
+  return Packer.toBuffer(file);
+}
+
+/* ---------------- Entry point ---------------- */
+// Resolves to the file contents (string for md/html, Buffer for pdf/docx).
+export async function renderExport(doc, format = "pdf") {
+  switch (format) {
+    case "md":   return renderMarkdownFile(doc);
+    case "html": return renderHtml(doc);
+    case "docx": return renderDocx(doc);
+    case "pdf":  return renderPdf(doc);
+    default:     throw new Error(`Unsupported export format '${format}'. Use one of: ${EXPORT_FORMATS.join(", ")}.`);
+  }
+}
@@ -0,0 +1,78 @@
+// lib/frontmatter.js
+// Minimal front-matter reader/writer for Markdown/text files:
+//
+//   ---
+//   name: Hanza Stephens
+//   tags: [leadership, habits]
+//   ---
+//   body…
+//
+// Supports flat `key: value` pairs, quoted strings, numbers/booleans and
+// inline `[a, b]` lists — enough for persona and source metadata, not full YAML.
+
+const FM_RE = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+// Splits a list body on commas outside quoted items, so `["a, b", c]` has two
+// items (an apostrophe inside a bare item doesn't start a quote).
+function splitList(body) {
+  const items = [];
+  let cur = "", quote = null;
+  for (let i = 0; i < body.length; i++) {
+    const c = body[i];
+    if (quote) {
+      cur += c;
+      if (c === "\\" && quote === '"' && i + 1 < body.length) cur += body[++i];
+      else if (c === quote) quote = null;
+    } else if (c === ",") { items.push(cur); cur = ""; }
+    else { if ((c === '"' || c === "'") && !cur.trim()) quote = c; cur += c; }
+  }
+  items.push(cur);
+  return items;
+}
+
+function parseScalar(raw = "") {
+  const v = raw.trim();
+  if (!v) return "";
+  if (v.length > 1 && v.startsWith('"') && v.endsWith('"')) {
+    try { return JSON.parse(v); } catch { return v.slice(1, -1); }
+  }
+  if (v.length > 1 && v.startsWith("'") && v.endsWith("'")) return v.slice(1, -1);
+  if (v.startsWith("[") && v.endsWith("]")) {
+    return splitList(v.slice(1, -1)).map(s => parseScalar(s)).filter(s => s !== "");
+  }
+  if (/^(true|false)$/i.test(v)) return v.toLowerCase() === "true";
+  if (/^-?\d+(\.\d+)?$/.test(v)) return Number(v);
+  return v;
+}
+
+export function parseFrontMatter(text = "") {
+  const src = String(text || "");
+  const m = src.match(FM_RE);
+  if (!m) return { data: {}, body: src };
+  const data = {};
+  for (const line of m[1].split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith("#")) continue;
+    const idx = line.indexOf(":");
+    if (idx <= 0) continue;
+    const key = line.slice(0, idx).trim();
+    if (!/^[\w-]+$/.test(key)) continue;
+    data[key] = parseScalar(line.slice(idx + 1));
+  }
+  return { data, body: src.slice(m[0].length) };
+}
+
+function formatScalar(v) {
+  if (Array.isArray(v)) return `[${v.map(formatScalar).join(", ")}]`;
+  if (typeof v === "number" || typeof v === "boolean") return String(v);
+  const s = String(v ?? "");
+  // Quoted (JSON-escaped) when a bare value could end the block or be misread.
+  return /^[\s]|[\s]$|[\r\n:#,[\]"']|^$/.test(s) ? JSON.stringify(s) : s;
+}
+
+export function stringifyFrontMatter(data = {}, body = "") {
+  const lines = Object.entries(data)
+    .filter(([k, v]) => /^[\w-]+$/.test(k) && v != null && v !== "")
+    .map(([k, v]) => `${k}: ${formatScalar(v)}`);
+  const text = String(body || "");
+  return lines.length ? `---\n${lines.join("\n")}\n---\n\n${text.replace(/^\s+/, "")}` : text;
+}
@@ -0,0 +1,71 @@
+// lib/history.js
+// Folds prior chat turns into the prompt under a token budget. Recent turns
+// are kept verbatim (newest first until the budget runs out); older turns are
+// condensed into a short digest so follow-ups like "make it shorter" still
+// know what came before.
+
+// Rough heuristic (~4 chars/token); good enough for budgeting, not billing.
+export const estimateTokens = (s = "") => Math.ceil(String(s || "").length / 4);
+
+const MAX_TURNS = 200;
+const DIGEST_LINE_CHARS = 160;
+
+// Accepts [{ role, text }] (collectTranscript shape) or [{ role, content }].
+export function normalizeHistory(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw.slice(-MAX_TURNS).map(t => {
+    const role = t?.role === "user" ? "user" : (t?.role === "assistant" || t?.role === "bot") ? "assistant" : null;
+    const content = String(t?.content ?? t?.text ?? "").trim();
+    return role && content ? { role, content } : null;
+  }).filter(Boolean);
+}
+
+function truncateMiddle(s, maxChars) {
+  if (s.length <= maxChars) return s;
+  const head = Math.ceil(maxChars * 0.6);
+  const tail = Math.max(0, maxChars - head);
+  return `${s.slice(0, head).trimEnd()}\n\n[…truncated…]\n\n${tail ? s.slice(-tail).trimStart() : ""}`.trim();
+}
+
+function digestLine({ role, content }) {
+  const firstLine = content.split("\n").map(l => l.replace(/^#+\s*/, "").trim()).find(Boolean) || "";
+  const clipped = firstLine.length > DIGEST_LINE_CHARS ? `${firstLine.slice(0, DIGEST_LINE_CHARS - 1)}…` : firstLine;
+  return `- ${role === "user" ? "User" : "Assistant"}: ${clipped}`;
+}
+
+// Returns { turns, summary } where turns fit in ~75% of the budget and the
+// digest of everything older fits in the rest.
+export function fitHistory(history = [], { budget = 2500 } = {}) {
+  const turns = normalizeHistory(history);
+  if (!turns.length || budget <= 0) return { turns: [], summary: "" };
+
+  const turnBudget = Math.floor(budget * 0.75);
+  const kept = [];
+  let used = 0;
+  let i = turns.length - 1;
+  for (; i >= 0; i--) {
+    const t = turns[i];
+    const cost = estimateTokens(t.content);
+    if (used + cost <= turnBudget) { kept.unshift(t); used += cost; continue; }
+    // Always keep the latest turn, trimmed to fit.
+    if (!kept.length) { kept.unshift({ ...t, content: truncateMiddle(t.content, turnBudget * 4) }); i--; }
+    break;
+  }
+
+  const older = turns.slice(0, i + 1);
+  let summary = "";
+  if (older.length) {
+    const lines = [];
+    let left = (budget - turnBudget) * 4;
+    // Prefer the most recent of the dropped turns when the digest is tight.
+    for (let j = older.length - 1; j >= 0; j--) {
+      const line = digestLine(older[j]);
+      if (line.length + 1 > left) break;
+      lines.unshift(line);
+      left -= line.length + 1;
+    }
+    const skipped = older.length - lines.length;
+    summary = `EARLIER CONVERSATION (condensed${skipped ? `, ${skipped} older turn(s) omitted` : ""}):\n${lines.join("\n")}`.trim();
+  }
+  return { turns: kept, summary };
+}
@@ -0,0 +1,324 @@
+// lib/indexer.js
+// Incremental builder for data/index.json. Files are re-embedded only when
+// their content hash changes (or the embed model / chunking settings change);
+// records for deleted sources are dropped. Used by scripts/build_index.mjs.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { parseFrontMatter } from "./frontmatter.js";
+
+export const SOURCE_EXT_RE = /\.(txt|md)$/i;
+export const DEFAULT_CHUNKING = { size: 1100, overlap: 120 };
+
+export const hashContent = (text = "") => crypto.createHash("sha256").update(String(text)).digest("hex");
+
+/* ---------------- Source documents ---------------- */
+// Front-matter (title, url, date, tags) wins; plain .txt posts fall back to a
+// short first line, then the filename.
+export function readSourceMeta(text = "", file = "") {
+  const { data, body } = parseFrontMatter(text);
+  const firstLine = body.split("\n").map(l => l.replace(/^#+\s*/, "").trim()).find(Boolean) || "";
+  const tags = Array.isArray(data.tags) ? data.tags.map(String) : (data.tags ? String(data.tags).split(",").map(t => t.trim()).filter(Boolean) : []);
+  return {
+    title: String(data.title || (firstLine.length <= 120 ? firstLine : "") || file.replace(SOURCE_EXT_RE, "")),
+    url: data.url ? String(data.url) : null,
+    date: data.date ? String(data.date) : null,
+    tags,
+    body
+  };
+}
+
+/* ---------------- Chunking ---------------- */
+const isHeading = (block) => /^#{1,6}\s/.test(block);
+
+function splitSentences(text) {
+  const parts = text.split(/(?<=[.!?]["'”’)\]]*)\s+|\n+/).map(s => s.trim()).filter(Boolean);
+  return parts.length ? parts : [text];
+}
+
+// Hard-split an oversized piece on word boundaries.
+function splitWords(text, max) {
+  const out = [];
+  let cur = "";
+  for (const w of text.split(/\s+/)) {
+    if (!w) continue;
+    if (cur && cur.length + 1 + w.length > max) { out.push(cur); cur = ""; }
+    cur = cur ? `${cur} ${w}` : w;
+    while (cur.length > max) { out.push(cur.slice(0, max)); cur = cur.slice(max); }
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+// Blocks that fit in `max`: paragraphs, or sentences/words of long paragraphs.
+function toUnits(text, max) {
+  const units = [];
+  for (const block of text.split(/\n\s*\n/).map(b => b.trim()).filter(Boolean)) {
+    if (block.length <= max) { units.push({ text: block, heading: isHeading(block) }); continue; }
+    for (const s of splitSentences(block)) {
+      for (const piece of s.length <= max ? [s] : splitWords(s, max)) units.push({ text: piece, heading: false, sentence: true });
+    }
+  }
+  return units;
+}
+
+// Trailing sentences of the previous chunk (≤ overlap chars) to prefix the next one.
+function tailOverlap(chunk, overlap) {
+  if (overlap <= 0) return "";
+  const sentences = splitSentences(chunk);
+  let tail = "";
+  for (let i = sentences.length - 1; i >= 0; i--) {
+    const next = tail ? `${sentences[i]} ${tail}` : sentences[i];
+    if (next.length > overlap) break;
+    tail = next;
+  }
+  if (!tail) {
+    const words = chunk.split(/\s+/);
+    for (let i = words.length - 1; i >= 0; i--) {
+      const next = tail ? `${words[i]} ${tail}` : words[i];
+      if (next.length > overlap) break;
+      tail = next;
+    }
+  }
+  return tail;
+}
+
+// Paragraph/heading-aware chunking: never splits mid-word, prefers paragraph
+// then sentence boundaries, and starts a new chunk at a heading once the
+// current one is at least half full.
+export function chunkText(txt = "", { size = DEFAULT_CHUNKING.size, overlap = DEFAULT_CHUNKING.overlap } = {}) {
+  const clean = String(txt).replace(/\r/g, "").trim();
+  if (!clean) return [];
+  const max = Math.max(200, Number(size) || DEFAULT_CHUNKING.size);
+  const ov  = Math.min(Math.floor(max / 2), Math.max(0, Number(overlap) || 0));
+  if (clean.length <= max) return [clean];
+
+  const chunks = [];
+  let cur = "";
+  let curHasBody = false;
+  const flush = () => {
+    if (!curHasBody) return;
+    chunks.push(cur.trim());
+    const tail = tailOverlap(cur, ov);
+    cur = tail;
+    curHasBody = false;
+  };
+
+  for (const unit of toUnits(clean, max - ov)) {
+    const sep = unit.sentence ? " " : "\n\n";
+    if (unit.heading && cur.length >= max / 2) flush();
+    if (curHasBody && cur.length + sep.length + unit.text.length > max) flush();
+    cur = cur ? `${cur}${sep}${unit.text}` : unit.text;
+    curHasBody = true;
+  }
+  flush();
+  return chunks;
+}
+
+/* ---------------- Embedding with retry ---------------- */
+// Rejects as soon as `signal` aborts, so a canceled reindex doesn't wait out a backoff.
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(signal.reason);
+  const t = setTimeout(() => { signal?.removeEventListener("abort", onAbort); resolve(); }, ms);
+  const onAbort = () => { clearTimeout(t); reject(signal.reason); };
+  signal?.addEventListener("abort", onAbort, { once: true });
+});
+
+function isRetryable(err) {
+  if (err?.name === "AbortError") return false;
+  if (!err?.status) return true;                       // network errors
+  return err.status === 429 || err.status >= 500;
+}
+function backoffMs(attempt, err) {
+  const ra = Number(err?.retryAfter);
+  if (Number.isFinite(ra) && ra >= 0) return Math.min(60_000, ra * 1000);
+  const base = Math.min(30_000, 1000 * 2 ** attempt);
+  return base / 2 + Math.random() * base / 2;
+}
+
+export async function embedInBatches(embedder, texts = [], { batchSize = 64, retries = 5, onRetry = () => {}, signal } = {}) {
+  const out = [];
+  for (let i = 0; i < texts.length; i += batchSize) {
+    const batch = texts.slice(i, i + batchSize);
+    for (let attempt = 0; ; attempt++) {
+      try {
+        out.push(...await embedder.embed(batch, { signal }));
+        break;
+      } catch (e) {
+        if (attempt >= retries || signal?.aborted || !isRetryable(e)) throw e;
+        const wait = backoffMs(attempt, e);
+        onRetry({ attempt: attempt + 1, wait, error: e });
+        await sleep(wait, signal);
+      }
+    }
+  }
+  return out;
+}
+
+/* ---------------- Index file ---------------- */
+// Indexes written before per-file metadata existed only have records; count
+// their chunks per file so those sources still show as indexed. With no
+// content hash, staleness is unknown (hash: null) until the file is re-indexed.
+export function indexedFilesOf(index) {
+  if (index?.files) return index.files;
+  const files = {};
+  for (const r of Array.isArray(index?.records) ? index.records : []) {
+    if (!r?.file) continue;
+    const f = files[r.file] ||= { hash: r.hash || null, title: r.title, url: r.url, chunks: 0, indexedAt: index.createdAt || null };
+    f.chunks++;
+  }
+  return files;
+}
+
+export function readIndex(file) {
+  try {
+    const j = JSON.parse(fs.readFileSync(file, "utf8"));
+    return { ...j, records: Array.isArray(j.records) ? j.records : [], files: indexedFilesOf(j) };
+  } catch {
+    return { model: null, records: [], files: {} };
+  }
+}
+
+// Atomic write so the server never reads a half-written index.
+export function writeIndex(file, index) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(index, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+export function listSources(srcDir) {
+  return fs.readdirSync(srcDir).filter(f => SOURCE_EXT_RE.test(f)).sort();
+}
+
+// Chunk + embed one source file into index records.
+async function embedSource(embedder, file, text, { chunking, batchSize, retries, log = () => {} }) {
+  const hash = hashContent(text);
+  const { title, url, date, tags, body } = readSourceMeta(text, file);
+  const chunks = chunkText(body, chunking);
+  const embeddings = await embedInBatches(embedder, chunks, {
+    batchSize,
+    retries,
+    onRetry: ({ attempt, wait, error }) => log(`   ↻ retry ${attempt} in ${Math.round(wait)}ms (${error.message || error})`)
+  });
+  const records = chunks.map((content, i) => ({
+    id: `${file}#${i}`, file, title, url, content, embedding: embeddings[i], chars: content.length, hash
+  }));
+  const meta = { hash, title, url, date, tags, chunks: chunks.length, indexedAt: new Date().toISOString() };
+  return { records, meta };
+}
+
+/* ---------------- Build ---------------- */
+// Returns a report: { added, changed, unchanged, removed, chunks, embedded, full, dryRun }.
+export async function buildIndex({
+  srcDir,
+  indexFile,
+  embedder,
+  chunking = DEFAULT_CHUNKING,
+  batchSize = 64,
+  retries = 5,
+  full = false,
+  dryRun = false,
+  log = () => {}
+} = {}) {
+  const prev = readIndex(indexFile);
+  const settingsChanged =
+    prev.model !== embedder.model ||
+    prev.chunking?.size !== chunking.size ||
+    prev.chunking?.overlap !== chunking.overlap;
+  const rebuildAll = full || settingsChanged;
+  if (rebuildAll && prev.records.length) {
+    log(full ? "Full rebuild requested." : "Embed model or chunking changed; re-embedding everything.");
+  }
+
+  const prevByFile = new Map();
+  for (const r of prev.records) {
+    if (!prevByFile.has(r.file)) prevByFile.set(r.file, []);
+    prevByFile.get(r.file).push(r);
+  }
+
+  const report = { added: [], changed: [], unchanged: [], removed: [], chunks: 0, embedded: 0, full: rebuildAll, dryRun };
+  const files = listSources(srcDir);
+  const records = [];
+  const fileMeta = {};
+
+  for (const file of files) {
+    const text = fs.readFileSync(path.join(srcDir, file), "utf8");
+    const hash = hashContent(text);
+    const old = prevByFile.get(file) || [];
+    const same = !rebuildAll && old.length && prev.files?.[file]?.hash === hash;
+
+    if (same) {
+      report.unchanged.push(file);
+      records.push(...old);
+      fileMeta[file] = prev.files[file];
+      report.chunks += old.length;
+      continue;
+    }
+
+    const meta = readSourceMeta(text, file);
+    const chunks = chunkText(meta.body, chunking);
+    (old.length ? report.changed : report.added).push({ file, chunks: chunks.length });
+    report.chunks += chunks.length;
+    if (dryRun || !chunks.length) continue;
+
+    log(` - ${file}: embedding ${chunks.length} chunk(s)`);
+    const built = await embedSource(embedder, file, text, { chunking, batchSize, retries, log });
+    report.embedded += built.records.length;
+    records.push(...built.records);
+    fileMeta[file] = built.meta;
+  }
+
+  for (const file of prevByFile.keys()) {
+    if (!files.includes(file)) report.removed.push(file);
+  }
+
+  const dirty = rebuildAll || report.added.length || report.changed.length || report.removed.length;
+  if (!dryRun && dirty) {
+    const now = new Date().toISOString();
+    writeIndex(indexFile, {
+      model: embedder.model,
+      createdAt: rebuildAll ? now : (prev.createdAt || now),
+      updatedAt: now,
+      chunking: { size: chunking.size, overlap: chunking.overlap },
+      count: records.length,
+      files: fileMeta,
+      records
+    });
+  }
+  return report;
+}
+
+// Re-index a single source (or drop it if the file no longer exists) without
+// touching the rest of the index. Keeps the index's existing chunking.
+export async function reindexSource({ srcDir, indexFile, embedder, file, batchSize = 64, retries = 5, log = () => {} } = {}) {
+  const prev = readIndex(indexFile);
+  const others = prev.records.filter(r => r.file !== file);
+  if (others.length && prev.model && prev.model !== embedder.model) {
+    throw new Error(`Index was built with '${prev.model}' but the embedder is '${embedder.model}'. Run build:index --full.`);
+  }
+  const chunking = prev.chunking || DEFAULT_CHUNKING;
+  const files = { ...prev.files };
+  delete files[file];
+
+  const full = path.join(srcDir, file);
+  let added = [];
+  if (fs.existsSync(full)) {
+    const built = await embedSource(embedder, file, fs.readFileSync(full, "utf8"), { chunking, batchSize, retries, log });
+    added = built.records;
+    files[file] = built.meta;
+  }
+
+  const records = [...others, ...added];
+  const now = new Date().toISOString();
+  writeIndex(indexFile, {
+    model: embedder.model,
+    createdAt: prev.createdAt || now,
+    updatedAt: now,
+    chunking: { size: chunking.size, overlap: chunking.overlap },
+    count: records.length,
+    files,
+    records
+  });
+  return { file, chunks: added.length, removed: !added.length };
+}
@@ -0,0 +1,222 @@
+// lib/jobs.js
+// Batch generation queue. A job is a list of topics with shared options; each
+// topic is an item drafted on its own by the `run(job, item, { signal })`
+// callback. Jobs are JSON files under data/jobs (written on every change), so
+// a restart picks up where it left off: items that were mid-flight go back to
+// the queue. At most `concurrency` items run at once, across all jobs, oldest
+// job first. Upstream failures (429/5xx/network) are retried with backoff.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { EventEmitter } from "events";
+import { createLogger } from "./logger.js";
+
+export const MAX_TOPICS = 50;
+const ID_RE = /^[a-f0-9-]{8,64}$/i;
+const ACTIVE = ["queued", "running"];
+
+const jobError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// Errors may say so themselves (`retryable`); otherwise judge by the message.
+export function isRetryable(e) {
+  if (e?.retryable != null) return !!e.retryable;
+  return /\berror (?:408|409|429|5\d\d)\b|fetch failed|ECONNRESET|ECONNREFUSED|ETIMEDOUT|socket hang up|timed? ?out/i.test(String(e?.message || e));
+}
+
+// Topics arrive as an array or one per line.
+export function parseTopics(raw) {
+  const list = (Array.isArray(raw) ? raw : String(raw || "").split("\n"))
+    .map(t => String(t ?? "").replace(/\s+/g, " ").trim().slice(0, 500))
+    .filter(Boolean);
+  if (!list.length) throw jobError("Add at least one topic.");
+  if (list.length > MAX_TOPICS) throw jobError(`At most ${MAX_TOPICS} topics per job.`);
+  return list;
+}
+
+export function createJobQueue({ dir, run, concurrency = 2, maxAttempts = 3, backoffMs = 5000, log = createLogger() }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const jobs = new Map();      // id -> job (kept in memory; they're small)
+  const running = new Map();   // "<job>:<index>" -> AbortController
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  let timer = null;
+
+  const fileFor = (id) => {
+    if (!ID_RE.test(String(id || ""))) throw jobError("Invalid job id");
+    return path.join(dir, `${id}.json`);
+  };
+  const write = (job) => {
+    const file = fileFor(job.id);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(job, null, 2), "utf8");
+    fs.renameSync(`${file}.tmp`, file);
+  };
+  const view = (job) => job && JSON.parse(JSON.stringify(job));
+
+  // Progress counts and the job's state follow from its items.
+  function refresh(job) {
+    const count = (s) => job.items.filter(i => i.status === s).length;
+    const p = { total: job.items.length, queued: count("queued"), running: count("running"), done: count("done"), failed: count("failed"), canceled: count("canceled") };
+    job.progress = p;
+    if (p.running || p.queued) job.status = p.running || p.done || p.failed ? "running" : "queued";
+    else if (job.canceledAt) job.status = "canceled";
+    else job.status = !p.done && p.failed ? "failed" : "done";
+    if (!ACTIVE.includes(job.status)) job.finishedAt = job.finishedAt || new Date().toISOString();
+    else job.finishedAt = null;
+  }
+  function save(job) {
+    job.updatedAt = new Date().toISOString();
+    refresh(job);
+    if (!jobs.has(job.id)) return;
+    write(job);
+    events.emit("update", view(job));
+  }
+
+  // Resume after a restart.
+  for (const f of fs.readdirSync(dir).filter(f => f.endsWith(".json"))) {
+    try {
+      const job = JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"));
+      const interrupted = job.items.filter(i => i.status === "running");
+      for (const item of interrupted) { item.status = "queued"; item.notBefore = null; }
+      refresh(job);
+      jobs.set(job.id, job);
+      if (interrupted.length) write(job);
+    } catch (e) { log.warn("skipping unreadable job file", { file: f, error: e }); }
+  }
+
+  function start(job, item) {
+    const key = `${job.id}:${item.index}`;
+    const ac = new AbortController();
+    running.set(key, ac);
+    item.status = "running";
+    item.attempts += 1;
+    item.startedAt = new Date().toISOString();
+    item.notBefore = null;
+    save(job);
+
+    Promise.resolve()
+      .then(() => run(view(job), view(item), { signal: ac.signal }))
+      .then(result => {
+        if (ac.signal.aborted) { item.status = "canceled"; return; }
+        item.status = "done";
+        item.result = result || null;
+        item.error = null;
+      }, e => {
+        const message = String(e?.message || e);
+        if (ac.signal.aborted) item.status = "canceled";
+        else if (isRetryable(e) && item.attempts < maxAttempts) {
+          item.status = "queued";
+          item.notBefore = new Date(Date.now() + backoffMs * 2 ** (item.attempts - 1)).toISOString();
+          item.error = `${message} (retrying)`;
+        } else {
+          item.status = "failed";
+          item.error = message;
+        }
+      })
+      .finally(() => {
+        running.delete(key);
+        if (!["queued", "running"].includes(item.status)) item.finishedAt = new Date().toISOString();
+        save(job);
+        pump();
+      });
+  }
+
+  // Fills free slots in job order; sleeps until the next backoff expires.
+  function pump() {
+    clearTimeout(timer);
+    timer = null;
+    const now = Date.now();
+    let wake = Infinity;
+    const pending = [...jobs.values()].filter(j => ACTIVE.includes(j.status)).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    for (const job of pending) {
+      for (const item of job.items) {
+        if (running.size >= concurrency) return;
+        if (item.status !== "queued") continue;
+        const at = item.notBefore ? Date.parse(item.notBefore) : 0;
+        if (at > now) { wake = Math.min(wake, at); continue; }
+        start(job, item);
+      }
+    }
+    if (wake < Infinity) {
+      timer = setTimeout(pump, wake - now);
+      timer.unref?.();
+    }
+  }
+  setImmediate(pump);
+
+  return {
+    concurrency,
+    maxAttempts,
+
+    create({ user = null, username = null, topics, options = {} }) {
+      const now = new Date().toISOString();
+      const job = {
+        id: crypto.randomUUID(),
+        user, username,
+        createdAt: now, updatedAt: now,
+        options,
+        items: parseTopics(topics).map((topic, index) => ({ index, topic, status: "queued", attempts: 0, error: null, result: null }))
+      };
+      jobs.set(job.id, job);
+      save(job);
+      pump();
+      return view(job);
+    },
+
+    get(id) { return view(jobs.get(id)); },
+
+    // Newest first; `filter` sees the raw job (e.g. by owner).
+    list(filter = () => true) {
+      return [...jobs.values()].filter(filter).sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(({ items, ...rest }) => view(rest));
+    },
+
+    // Queued items are dropped; running ones are told to stop and their result discarded.
+    cancel(id) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      if (!ACTIVE.includes(job.status)) return view(job);
+      job.canceledAt = new Date().toISOString();
+      for (const item of job.items) {
+        if (item.status === "queued") { item.status = "canceled"; item.finishedAt = job.canceledAt; }
+        if (item.status === "running") running.get(`${job.id}:${item.index}`)?.abort();
+      }
+      save(job);
+      return view(job);
+    },
+
+    // Failed and canceled items go back to the queue with fresh attempts.
+    retry(id) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      let n = 0;
+      for (const item of job.items) {
+        if (item.status !== "failed" && item.status !== "canceled") continue;
+        Object.assign(item, { status: "queued", attempts: 0, error: null, notBefore: null, finishedAt: null });
+        n++;
+      }
+      if (n) { job.canceledAt = null; save(job); pump(); }
+      return view(job);
+    },
+
+    remove(id) {
+      const job = jobs.get(id);
+      if (!job) return false;
+      if (ACTIVE.includes(job.status)) throw jobError("Cancel the job before deleting it.", 409);
+      jobs.delete(id);
+      fs.rmSync(fileFor(id), { force: true });
+      return true;
+    },
+
+    // listener(job) on every change; returns an unsubscribe function.
+    subscribe(listener) {
+      events.on("update", listener);
+      return () => events.off("update", listener);
+    },
+
+    stats() {
+      const all = [...jobs.values()];
+      return { concurrency, running: running.size, activeJobs: all.filter(j => ACTIVE.includes(j.status)).length, jobs: all.length };
+    }
+  };
+}
@@ -0,0 +1,355 @@
+// lib/lint.js
+// Brand-voice linter: scores a Markdown draft against the checkable rules in
+// public/assets/style_guide.md (no hedging or hype, short active sentences,
+// ## sections, 3–5 action steps, a decisive close, no emojis unless asked).
+//
+// Every issue carries { start, end } offsets into the Markdown it was given
+// plus the plain-text `excerpt`, so the UI can highlight it in the rendered
+// bubble. Rules merge: DEFAULT_LINT_RULES ← data/lint-rules.json ← request.
+
+import fs from "fs";
+import { Lexer } from "marked";
+import { createLogger } from "./logger.js";
+import { registerMockStage } from "./providers.js";
+
+export const DEFAULT_LINT_RULES = {
+  readability:    { enabled: true, maxGrade: 9, severity: "warning" },
+  sentenceLength: { enabled: true, maxWords: 25, severity: "warning" },
+  passiveVoice:   { enabled: true, maxShare: 0.15, severity: "info" },
+  bannedPhrases: {
+    enabled: true,
+    hedges:    { severity: "warning", phrases: ["might", "could", "perhaps", "maybe", "possibly", "arguably", "it seems", "sort of", "kind of"] },
+    clickbait: { severity: "error",   phrases: ["you won't believe", "shocking", "mind-blowing", "game-changer", "game changer", "insane", "jaw-dropping", "secret trick", "this one trick"] },
+    filler:    { severity: "info",    phrases: ["very", "really", "basically", "actually", "in order to", "utilize", "at the end of the day"] }
+  },
+  headings:  { enabled: true, requireTitle: true, minSections: 2, maxLength: 70, minWords: 200, severity: "warning" },
+  steps:     { enabled: true, min: 3, max: 5, minWords: 200, severity: "warning" },
+  closing:   { enabled: true, severity: "info" },
+  emoji:     { enabled: true, severity: "warning" }
+};
+
+// Mechanical rewrites the auto-fix pass can apply without a model.
+const REPLACEMENTS = { "in order to": "to", "utilize": "use", "at the end of the day": "ultimately" };
+const PENALTY = { error: 8, warning: 4, info: 1 };
+const SEVERITIES = Object.keys(PENALTY);
+const MAX_PHRASES = 200;
+const MAX_PHRASE_CHARS = 80;
+
+const lintError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const isObj = (v) => v && typeof v === "object" && !Array.isArray(v);
+function merge(base, over) {
+  if (!isObj(over)) return base;
+  const out = { ...base };
+  for (const [k, v] of Object.entries(over)) out[k] = isObj(v) && isObj(base[k]) ? merge(base[k], v) : v;
+  return out;
+}
+
+// Rules sent with a request: same shape as DEFAULT_LINT_RULES, partial is fine,
+// but every value must have the default's type and phrase lists are bounded.
+// Banned-phrase groups beyond the defaults are allowed. Throws a 400.
+export function checkLintRules(rules) {
+  if (rules == null) return null;
+  if (!isObj(rules)) throw lintError("'rules' must be an object.");
+  let phrases = 0;
+  const checkFields = (name, cfg, defaults) => {
+    if (!isObj(cfg)) throw lintError(`Lint rule '${name}' must be an object.`);
+    for (const [k, v] of Object.entries(cfg)) {
+      const where = `${name}.${k}`;
+      if (k === "severity") { if (!SEVERITIES.includes(v)) throw lintError(`'${where}' must be one of ${SEVERITIES.join(", ")}.`); continue; }
+      if (k === "phrases") {
+        if (!Array.isArray(v) || !v.every(x => typeof x === "string" && x.trim() && x.length <= MAX_PHRASE_CHARS)) {
+          throw lintError(`'${where}' must be a list of non-empty phrases (up to ${MAX_PHRASE_CHARS} characters each).`);
+        }
+        if ((phrases += v.length) > MAX_PHRASES) throw lintError(`Too many banned phrases (max ${MAX_PHRASES}).`);
+        continue;
+      }
+      if (!defaults || !(k in defaults)) throw lintError(`Unknown lint setting '${where}'.`);
+      const want = typeof defaults[k];
+      if (want === "number" ? !(typeof v === "number" && Number.isFinite(v)) : typeof v !== want) throw lintError(`'${where}' must be a ${want === "number" ? "finite number" : want}.`);
+    }
+  };
+  for (const [name, cfg] of Object.entries(rules)) {
+    if (!(name in DEFAULT_LINT_RULES)) throw lintError(`Unknown lint rule '${name}'.`);
+    if (name !== "bannedPhrases") { checkFields(name, cfg, DEFAULT_LINT_RULES[name]); continue; }
+    if (!isObj(cfg)) throw lintError("Lint rule 'bannedPhrases' must be an object.");
+    for (const [group, g] of Object.entries(cfg)) {
+      if (group === "enabled") { if (typeof g !== "boolean") throw lintError("'bannedPhrases.enabled' must be a boolean."); continue; }
+      checkFields(`bannedPhrases.${group}`, g, { severity: "", phrases: [] });
+    }
+  }
+  return rules;
+}
+
+// Optional JSON file with the same shape as DEFAULT_LINT_RULES (partial is fine).
+export function loadLintRules(file, overrides = null, { log = createLogger() } = {}) {
+  let fromFile = null;
+  try { fromFile = JSON.parse(fs.readFileSync(file, "utf8")); }
+  catch (e) { if (e.code !== "ENOENT") log.warn("lint rules file is not valid JSON; using defaults", { file }); }
+  return merge(merge(DEFAULT_LINT_RULES, fromFile), checkLintRules(overrides));
+}
+
+/* ---------------- Text helpers ---------------- */
+const plain = (md = "") => String(md)
+  .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+  .replace(/[*_`#>]/g, "")
+  .replace(/\s+/g, " ")
+  .trim();
+const wordsOf = (s) => plain(s).match(/[A-Za-z0-9'’-]+/g) || [];
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function syllables(word) {
+  const w = word.toLowerCase().replace(/[^a-z]/g, "");
+  if (!w) return 0;
+  if (w.length <= 3) return 1;
+  const groups = w.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, "").replace(/^y/, "").match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 1);
+}
+
+// Flesch–Kincaid grade level
+export function readingGrade(words, sentences) {
+  if (!words.length || !sentences) return 0;
+  const syl = words.reduce((n, w) => n + syllables(w), 0);
+  return Math.round((0.39 * (words.length / sentences) + 11.8 * (syl / words.length) - 15.59) * 10) / 10;
+}
+
+const PASSIVE_RE = /\b(?:am|is|are|was|were|be|been|being|get|gets|got)\s+(?:\w+ly\s+)?(?:\w+ed|built|done|made|given|taken|seen|written|shown|found|held|kept|left|told|thought|brought|sent|paid|said|sold|spent|known|chosen|driven|grown)\b/i;
+const EMOJI_RE = /\p{Extended_Pictographic}/gu;
+
+/* ---------------- Blocks with source offsets ---------------- */
+// Headings, paragraphs, list items and quotes, each with the offset of its
+// raw Markdown in the draft. Code, tables and HTML are skipped.
+function blocksOf(md) {
+  const blocks = [];
+  let offset = 0;
+  for (const tok of new Lexer().lex(md)) {
+    const start = md.indexOf(tok.raw, offset);
+    const at = start < 0 ? offset : start;
+    if (tok.type === "heading") blocks.push({ type: "heading", depth: tok.depth, text: tok.text, raw: tok.raw, start: at });
+    else if (tok.type === "paragraph" || tok.type === "blockquote") blocks.push({ type: tok.type, raw: tok.raw, start: at });
+    else if (tok.type === "list") {
+      let cursor = 0;
+      tok.items.forEach((item, i) => {
+        const rel = tok.raw.indexOf(item.raw, cursor);
+        cursor = rel < 0 ? cursor : rel + item.raw.length;
+        blocks.push({ type: "item", ordered: !!tok.ordered, list: at, index: i, raw: item.raw, start: at + Math.max(0, rel) });
+      });
+    }
+    offset = at + tok.raw.length;
+  }
+  return blocks;
+}
+
+// Sentences inside a block's raw Markdown, with absolute offsets.
+function sentencesOf(block) {
+  const out = [];
+  const body = block.type === "item" ? block.raw.replace(/^\s*(?:[-*+]|\d+[.)])\s+/, (m) => " ".repeat(m.length)) : block.raw;
+  const re = /[^.!?\n]+(?:[.!?]+["'”’)\]]*|\n|$)/g;
+  let m;
+  while ((m = re.exec(body))) {
+    if (!m[0]) { re.lastIndex++; continue; }
+    const lead = m[0].length - m[0].trimStart().length;
+    const text = m[0].trim();
+    if (wordsOf(text).length < 2) continue;
+    out.push({ text, start: block.start + m.index + lead, end: block.start + m.index + lead + text.length });
+  }
+  return out;
+}
+
+/* ---------------- Lint ---------------- */
+// opts.prompt: the request that produced the draft ("…with emojis" allows them).
+export function lintDraft(markdown = "", rules = DEFAULT_LINT_RULES, { prompt = "" } = {}) {
+  const md = String(markdown).replace(/\r\n?/g, "\n");
+  const issues = [];
+  const add = (rule, severity, message, start, end, extra = {}) => issues.push({
+    id: `${rule}-${issues.length + 1}`,
+    rule,
+    severity: SEVERITIES.includes(severity) ? severity : "warning",
+    message,
+    start,
+    end,
+    excerpt: plain(md.slice(start, end)).slice(0, 200),
+    ...extra
+  });
+
+  const blocks = blocksOf(md);
+  const prose = blocks.filter(b => b.type !== "heading");
+  const sentences = prose.flatMap(sentencesOf);
+  const words = prose.flatMap(b => wordsOf(b.raw));
+  const wordCount = words.length;
+
+  // Readability (whole draft)
+  const grade = readingGrade(words, sentences.length);
+  const r = rules.readability || {};
+  if (r.enabled && sentences.length >= 3 && grade > r.maxGrade) {
+    add("readability", r.severity, `Reading grade ${grade} is above the target of ${r.maxGrade}. Use shorter sentences and plainer words.`, 0, 0, { value: grade });
+  }
+
+  // Sentence length + passive voice
+  const sl = rules.sentenceLength || {};
+  const pv = rules.passiveVoice || {};
+  const passive = [];
+  for (const s of sentences) {
+    const n = wordsOf(s.text).length;
+    if (sl.enabled && n > sl.maxWords) add("sentenceLength", sl.severity, `${n}-word sentence (max ${sl.maxWords}). Split it.`, s.start, s.end, { value: n });
+    if (pv.enabled && PASSIVE_RE.test(plain(s.text))) passive.push(s);
+  }
+  const passiveShare = sentences.length ? passive.length / sentences.length : 0;
+  if (pv.enabled && passiveShare > pv.maxShare) {
+    for (const s of passive) add("passiveVoice", pv.severity, "Passive voice. Say who does what.", s.start, s.end);
+  }
+
+  // Banned phrases (hedges, clickbait, filler), headings included; inline
+  // code is blanked out (same length, so offsets hold) before matching.
+  const bp = rules.bannedPhrases || {};
+  const scannable = blocks.map(b => ({ ...b, raw: b.raw.replace(/`[^`\n]*`/g, (m) => " ".repeat(m.length)) }));
+  if (bp.enabled) {
+    for (const [group, cfg] of Object.entries(bp)) {
+      if (!isObj(cfg) || !Array.isArray(cfg.phrases)) continue;
+      // An empty phrase would match everywhere (and never advance).
+      for (const phrase of cfg.phrases.filter(x => typeof x === "string" && x.trim())) {
+        const re = new RegExp(`(?<![\\w'’-])${escapeRe(phrase).replace(/\\?[-\s]+/g, "[-\\s]+")}(?![\\w'’-])`, "gi");
+        for (const b of scannable) {
+          let m;
+          while ((m = re.exec(b.raw))) {
+            if (!m[0]) { re.lastIndex++; continue; }
+            let replacement = REPLACEMENTS[phrase.toLowerCase()];
+            if (replacement && /^[A-Z]/.test(m[0])) replacement = replacement[0].toUpperCase() + replacement.slice(1);
+            const label = group === "hedges" ? "Hedging" : group === "clickbait" ? "Clickbait/hype" : group === "filler" ? "Filler" : "Banned phrase";
+            add("bannedPhrases", cfg.severity, `${label}: “${m[0]}”.${replacement ? ` Use “${replacement}”.` : ""}`, b.start + m.index, b.start + m.index + m[0].length,
+              { group, ...(replacement ? { fix: { replacement } } : {}) });
+          }
+        }
+      }
+    }
+  }
+
+  // Headings
+  const h = rules.headings || {};
+  const headings = blocks.filter(b => b.type === "heading");
+  if (h.enabled && wordCount >= (h.minWords || 0)) {
+    const titles = headings.filter(x => x.depth === 1);
+    if (h.requireTitle && titles.length !== 1) {
+      add("headings", h.severity, titles.length ? `${titles.length} H1 titles; use exactly one.` : "Missing a # title.", titles[1]?.start ?? 0, titles[1] ? titles[1].start + titles[1].raw.trimEnd().length : 0);
+    }
+    const sections = headings.filter(x => x.depth === 2).length;
+    if (sections < h.minSections) add("headings", h.severity, `Only ${sections} ## section heading${sections === 1 ? "" : "s"} (want at least ${h.minSections}).`, 0, 0, { value: sections });
+    let prev = 0;
+    for (const x of headings) {
+      const end = x.start + x.raw.trimEnd().length;
+      if (prev && x.depth > prev + 1) add("headings", h.severity, `Heading jumps from H${prev} to H${x.depth}.`, x.start, end);
+      if (x.text.length > h.maxLength) add("headings", h.severity, `Heading is ${x.text.length} characters (max ${h.maxLength}).`, x.start, end);
+      if (/[.:]$/.test(x.text.trim())) add("headings", "info", "Headings don't end with punctuation.", x.start, end, { fix: { replacement: x.raw.trimEnd().replace(/[.:]+$/, "") } });
+      prev = x.depth;
+    }
+  }
+
+  // Action steps: the longest ordered list, else a bullet list under a "steps" heading
+  const st = rules.steps || {};
+  const lists = new Map();
+  let underSteps = false;
+  for (const b of blocks) {
+    if (b.type === "heading") { underSteps = /\b(steps?|actions?|how to|checklist|playbook)\b/i.test(b.text); continue; }
+    if (b.type === "item" && (b.ordered || underSteps)) {
+      if (!lists.has(b.list)) lists.set(b.list, []);
+      lists.get(b.list).push(b);
+    }
+  }
+  const stepList = [...lists.values()].sort((a, b) => b.length - a.length)[0] || [];
+  if (st.enabled && wordCount >= (st.minWords || 0) && (stepList.length < st.min || stepList.length > st.max)) {
+    const last = stepList[stepList.length - 1];
+    add("steps", st.severity, stepList.length
+      ? `${stepList.length} action steps; the guide asks for ${st.min}–${st.max}.`
+      : `No numbered action steps; the guide asks for ${st.min}–${st.max}.`,
+    stepList[0]?.start ?? 0, last ? last.start + last.raw.trimEnd().length : 0, { value: stepList.length });
+  }
+
+  // Decisive close: the draft should end on prose, not a question or a hedge
+  const cl = rules.closing || {};
+  const lastBlock = blocks[blocks.length - 1];
+  if (cl.enabled && lastBlock && wordCount >= 60) {
+    const end = lastBlock.start + lastBlock.raw.trimEnd().length;
+    const hedgeWords = (bp.hedges?.phrases || []).map(escapeRe).join("|");
+    if (lastBlock.type !== "paragraph") add("closing", cl.severity, "End with a short, decisive takeaway paragraph.", lastBlock.start, end);
+    else if (/\?\s*$/.test(plain(lastBlock.raw)) || (hedgeWords && new RegExp(`\\b(?:${hedgeWords})\\b`, "i").test(lastBlock.raw))) {
+      add("closing", cl.severity, "The closing hedges or asks a question; land the takeaway instead.", lastBlock.start, end);
+    }
+  }
+
+  // Emojis, unless the request asked for them
+  const em = rules.emoji || {};
+  if (em.enabled && !/emoji/i.test(prompt)) {
+    for (const m of md.matchAll(EMOJI_RE)) add("emoji", em.severity, "Emoji (the guide says none unless asked).", m.index, m.index + m[0].length, { fix: { replacement: "" } });
+  }
+
+  issues.sort((a, b) => a.start - b.start || a.end - b.end);
+  const score = Math.max(0, 100 - issues.reduce((n, i) => n + PENALTY[i.severity], 0));
+  return {
+    score,
+    stats: {
+      words: wordCount,
+      sentences: sentences.length,
+      avgSentence: sentences.length ? Math.round((wordCount / sentences.length) * 10) / 10 : 0,
+      grade,
+      passiveShare: Math.round(passiveShare * 100) / 100,
+      steps: stepList.length,
+      sections: headings.filter(x => x.depth === 2).length
+    },
+    issues
+  };
+}
+
+/* ---------------- Auto-fix ---------------- */
+// Mechanical fixes (replacements, emoji removal), applied back to front so
+// earlier offsets stay valid. Returns { text, applied }. Only the seam of each
+// fix is tidied (a removal leaving two spaces, or a space before punctuation);
+// the rest of the draft, code and indentation included, is left as is.
+export function applyLintFixes(markdown, issues = []) {
+  let text = String(markdown);
+  let applied = 0;
+  let floor = Infinity;
+  for (const i of [...issues].filter(x => x.fix && x.end > x.start).sort((a, b) => b.start - a.start)) {
+    if (i.end > floor) continue; // overlapping fix
+    let head = text.slice(0, i.start) + i.fix.replacement;
+    let tail = text.slice(i.end);
+    if (/[ \t]$/.test(head)) {
+      // Trailing spaces before a newline may be a hard line break: keep the tail's.
+      if (/^[ \t]+(\n|$)/.test(tail) || /^[.,;:!?]/.test(tail)) head = head.replace(/[ \t]+$/, "");
+      else tail = tail.replace(/^[ \t]+/, "");
+    } else if (!i.fix.replacement && /(^|\n)$/.test(head)) tail = tail.replace(/^[ \t]+(?=\S)/, "");
+    text = head + tail;
+    floor = Math.min(i.start, head.length);
+    applied++;
+  }
+  return { text, applied };
+}
+
+// Model pass for what can't be fixed mechanically.
+export function lintFixRequest(draft, issues) {
+  const list = issues.map(i => `- [${i.rule}] ${i.message}${i.excerpt ? ` — “${i.excerpt.slice(0, 140)}”` : ""}`).join("\n");
+  return [
+    "TASK: lint-fix",
+    "Revise the draft below so it passes these style-guide checks. Keep its content, structure, headings and length;",
+    "change only what the issues require.",
+    "",
+    "ISSUES:",
+    list,
+    "",
+    "<<<DRAFT",
+    String(draft).trim(),
+    "DRAFT>>>",
+    "",
+    "Return the full revised draft in Markdown only — no preamble, no code fences."
+  ].join("\n");
+}
+
+export function parseFixedDraft(text = "") {
+  return String(text).trim()
+    .replace(/^```[\w-]*\n([\s\S]*?)\n```$/, "$1")
+    .replace(/^<<<DRAFT\n?|\n?DRAFT>>>$/g, "")
+    .trim();
+}
+
+/* ---------------- Demo-mode answer ---------------- */
+registerMockStage("lint-fix", (prompt) => (prompt.match(/<<<DRAFT\n([\s\S]*?)\nDRAFT>>>/)?.[1] || "")
+  .replace(/\b(?:might|could|perhaps|maybe|possibly)\s+/gi, ""));
@@ -0,0 +1,43 @@
+// lib/logger.js
+// One JSON object per line on stdout (stderr for warn/error), e.g.
+//   {"time":"…","level":"info","msg":"model round","requestId":"…","round":2,"durationMs":8123}
+// child(fields) returns a logger that adds `fields` to every line; request
+// handlers get one carrying their request id (req.log).
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 99 };
+
+// Errors don't survive JSON.stringify; keep what helps diagnosing.
+function serializeError(e, { stack = false } = {}) {
+  if (!(e instanceof Error)) return e;
+  const out = { message: e.message, name: e.name };
+  for (const k of ["code", "status", "upstreamStatus", "retryable"]) if (e[k] != null) out[k] = e[k];
+  if (stack && e.stack) out.stack = e.stack;
+  return out;
+}
+
+export function createLogger({ level = "info", fields = {}, out = process.stdout, err = process.stderr } = {}) {
+  const min = LEVELS[level] ?? LEVELS.info;
+
+  function write(lvl, msg, extra = {}) {
+    if (LEVELS[lvl] < min) return;
+    const line = { time: new Date().toISOString(), level: lvl, msg, ...fields };
+    for (const [k, v] of Object.entries(extra || {})) {
+      if (v !== undefined) line[k] = v instanceof Error ? serializeError(v, { stack: min <= LEVELS.debug || lvl === "error" }) : v;
+    }
+    let text;
+    try { text = JSON.stringify(line); }
+    catch { text = JSON.stringify({ time: line.time, level: lvl, msg, ...fields, unserializable: true }); }
+    (LEVELS[lvl] >= LEVELS.warn ? err : out).write(text + "\n");
+  }
+
+  return {
+    level,
+    fields,
+    debug: (msg, extra) => write("debug", msg, extra),
+    info: (msg, extra) => write("info", msg, extra),
+    warn: (msg, extra) => write("warn", msg, extra),
+    error: (msg, extra) => write("error", msg, extra),
+    enabled: (lvl) => LEVELS[lvl] >= min,
+    child: (more = {}) => createLogger({ level, fields: { ...fields, ...more }, out, err })
+  };
+}
@@ -0,0 +1,95 @@
+// lib/metrics.js
+// A small Prometheus registry (text exposition format 0.0.4) for /metrics:
+// counters and histograms with labels, plus values read at scrape time.
+//
+//   const m = createMetrics();
+//   const hits = m.counter("hanza_cache_hits_total", "Cache hits.", ["route"]);
+//   hits.inc({ route: "chat" });
+//   res.type(m.contentType).send(m.render());
+
+export const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+const formatLabels = (pairs) => (pairs.length ? `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}` : "");
+const formatValue = (v) => (Number.isFinite(v) ? String(v) : v > 0 ? "+Inf" : v < 0 ? "-Inf" : "NaN");
+
+export function createMetrics() {
+  const metrics = [];
+
+  function define(type, name, help, labelNames) {
+    if (metrics.some(m => m.name === name)) throw new Error(`Metric ${name} is already registered.`);
+    const metric = { type, name, help, labelNames, series: new Map() };
+    metrics.push(metric);
+    return metric;
+  }
+  // Unknown labels are dropped and missing ones become "" so a typo can't
+  // explode the series count.
+  const labelPairs = (metric, labels = {}) => metric.labelNames.map(k => [k, labels[k] ?? ""]);
+  const seriesKey = (pairs) => JSON.stringify(pairs.map(p => String(p[1])));
+
+  return {
+    contentType: "text/plain; version=0.0.4; charset=utf-8",
+
+    counter(name, help, labelNames = []) {
+      const metric = define("counter", name, help, labelNames);
+      return {
+        inc(labels = {}, by = 1) {
+          if (!(by >= 0)) return;
+          const pairs = labelPairs(metric, labels);
+          const key = seriesKey(pairs);
+          const s = metric.series.get(key) || { pairs, value: 0 };
+          s.value += by;
+          metric.series.set(key, s);
+        }
+      };
+    },
+
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+      const metric = define("histogram", name, help, labelNames);
+      const bounds = [...buckets].sort((a, b) => a - b);
+      metric.bounds = bounds;
+      return {
+        observe(labels = {}, value) {
+          if (!Number.isFinite(value)) return;
+          const pairs = labelPairs(metric, labels);
+          const key = seriesKey(pairs);
+          const s = metric.series.get(key) || { pairs, counts: bounds.map(() => 0), sum: 0, count: 0 };
+          bounds.forEach((b, i) => { if (value <= b) s.counts[i]++; });
+          s.sum += value;
+          s.count++;
+          metric.series.set(key, s);
+        }
+      };
+    },
+
+    // `collect` returns a number or [{ labels, value }] when scraped. Totals
+    // kept elsewhere (e.g. cache stats) pass type "counter".
+    gauge(name, help, labelNames = [], collect = () => 0, { type = "gauge" } = {}) {
+      const metric = define(type, name, help, labelNames);
+      metric.collect = collect;
+    },
+
+    render() {
+      const lines = [];
+      for (const m of metrics) {
+        lines.push(`# HELP ${m.name} ${m.help.replace(/\n/g, " ")}`, `# TYPE ${m.name} ${m.type}`);
+        if (m.collect) {
+          let v;
+          try { v = m.collect(); } catch { continue; }
+          for (const { labels = {}, value } of Array.isArray(v) ? v : [{ value: v }]) {
+            lines.push(`${m.name}${formatLabels(labelPairs(m, labels))} ${formatValue(Number(value))}`);
+          }
+          continue;
+        }
+        for (const s of m.series.values()) {
+          if (m.type === "counter") { lines.push(`${m.name}${formatLabels(s.pairs)} ${formatValue(s.value)}`); continue; }
+          m.bounds.forEach((b, i) => lines.push(`${m.name}_bucket${formatLabels([...s.pairs, ["le", formatValue(b)]])} ${s.counts[i]}`));
+          lines.push(`${m.name}_bucket${formatLabels([...s.pairs, ["le", "+Inf"]])} ${s.count}`);
+          lines.push(`${m.name}_sum${formatLabels(s.pairs)} ${formatValue(s.sum)}`);
+          lines.push(`${m.name}_count${formatLabels(s.pairs)} ${s.count}`);
+        }
+      }
+      return lines.join("\n") + "\n";
+    }
+  };
+}
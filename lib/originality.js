@@ -0,0 +1,150 @@
+// lib/originality.js
+// "Does this draft recycle a published post?" — compares each paragraph of a
+// draft with the chunks in data/index.json two ways:
+//   - shingles: word n-grams shared verbatim (catches copy/paste, even when
+//     the paragraph around it is new), reported as the overlapping passages;
+//   - embeddings: cosine similarity per paragraph (catches close paraphrase).
+// Matches name the source `file` and chunk `id` so the writer can look them up.
+
+import { cosineSimilarity } from "./retrieval.js";
+import { tokenizeWords } from "./embeddings.js";
+
+export const ORIGINALITY_DEFAULTS = { shingle: 8, minOverlap: 0.15, minSimilarity: 0.92, minWords: 12 };
+
+/* ---------------- Shingles ---------------- */
+const shingleKeys = (words, n) => {
+  const out = [];
+  for (let i = 0; i + n <= words.length; i++) out.push(words.slice(i, i + n).join(" "));
+  return out;
+};
+
+// shingle -> Set(record index); built once per loaded index object and size
+// (the retrieval cache hands back the same object until index.json changes).
+const shingleCache = new WeakMap();
+function shingleIndex(index, n) {
+  let byN = shingleCache.get(index);
+  if (!byN) { byN = new Map(); shingleCache.set(index, byN); }
+  if (byN.has(n)) return byN.get(n);
+  const map = new Map();
+  index.records.forEach((r, i) => {
+    for (const key of shingleKeys(tokenizeWords(r.content), n)) {
+      if (!map.has(key)) map.set(key, new Set());
+      map.get(key).add(i);
+    }
+  });
+  byN.set(n, map);
+  return map;
+}
+
+/* ---------------- Paragraphs ---------------- */
+// Prose paragraphs and list items of the draft (headings and code skipped),
+// keeping the original words so passages can be quoted back.
+function paragraphsOf(draft, minWords) {
+  const out = [];
+  const prose = String(draft).replace(/\r\n?/g, "\n").replace(/```[\s\S]*?(?:```|$)/g, "\n\n");
+  for (const block of prose.split(/\n\s*\n/)) {
+    if (/^\s*#{1,6}\s/.test(block)) continue;
+    const text = block.replace(/^\s*(?:[-*+>]|\d+[.)])\s+/gm, "").replace(/\s+/g, " ").trim();
+    if (tokenizeWords(text).length >= minWords) out.push(text);
+  }
+  return out;
+}
+
+// Same words as tokenizeWords, with their [start, end) offsets in `text`.
+const wordSpans = (text) => [...String(text).toLowerCase().matchAll(/[a-z0-9]+(?:'[a-z]+)?/g)]
+  .map(m => ({ word: m[0], start: m.index, end: m.index + m[0].length }));
+
+// Runs of consecutive shared shingles → the verbatim passages, quoted from the draft.
+function overlappingPassages(text, spans, hitsAt, n) {
+  const passages = [];
+  let runStart = -1;
+  for (let i = 0; i <= hitsAt.length; i++) {
+    if (i < hitsAt.length && hitsAt[i]) { if (runStart < 0) runStart = i; continue; }
+    if (runStart >= 0) { passages.push(text.slice(spans[runStart].start, spans[i - 2 + n].end)); runStart = -1; }
+  }
+  return passages;
+}
+
+/* ---------------- Check ---------------- */
+// Never throws for a missing index or an unavailable embedder: the report
+// says what was skipped. `index` is a loaded index (see loadIndex).
+export async function checkOriginality(draft, { index, embedder = null, signal, ...opts } = {}) {
+  const cfg = { ...ORIGINALITY_DEFAULTS, ...Object.fromEntries(Object.entries(opts).filter(([, v]) => v != null)) };
+  const report = { status: "ok", score: 100, matches: [], checked: { paragraphs: 0, shingles: 0, records: index?.records?.length || 0 }, embedding: "skipped" };
+  const paragraphs = paragraphsOf(draft, cfg.minWords);
+  report.checked.paragraphs = paragraphs.length;
+  if (!paragraphs.length || !index?.records?.length) return report;
+
+  const shingles = shingleIndex(index, cfg.shingle);
+  let total = 0, copied = 0;
+  const found = new Map(); // `${paragraph}|${record}` -> match
+
+  const matchFor = (p, ri) => {
+    const key = `${p}|${ri}`;
+    if (!found.has(key)) {
+      const r = index.records[ri];
+      found.set(key, { paragraph: p, excerpt: paragraphs[p].slice(0, 240), id: r.id, file: r.file, title: r.title || r.file, url: r.url || null, overlap: 0, similarity: null, passages: [] });
+    }
+    return found.get(key);
+  };
+
+  paragraphs.forEach((text, p) => {
+    const spans = wordSpans(text);
+    const keys = shingleKeys(spans.map(w => w.word), cfg.shingle);
+    total += keys.length;
+    const perRecord = new Map(); // record -> boolean[] over this paragraph's shingles
+    keys.forEach((k, i) => {
+      const recs = shingles.get(k);
+      if (!recs) return;
+      copied++;
+      for (const ri of recs) {
+        if (!perRecord.has(ri)) perRecord.set(ri, new Array(keys.length).fill(false));
+        perRecord.get(ri)[i] = true;
+      }
+    });
+    for (const [ri, hitsAt] of perRecord) {
+      const overlap = hitsAt.filter(Boolean).length / keys.length;
+      const m = matchFor(p, ri);
+      m.overlap = Number(overlap.toFixed(3));
+      m.passages = overlappingPassages(text, spans, hitsAt, cfg.shingle);
+    }
+  });
+  report.checked.shingles = total;
+
+  // Embeddings: best chunk per paragraph
+  if (embedder) {
+    if (index.model && embedder.model && index.model !== embedder.model) {
+      report.embedding = `skipped: index built with '${index.model}', embedder is '${embedder.model}'`;
+    } else {
+      try {
+        const vecs = await embedder.embed(paragraphs, { signal });
+        vecs.forEach((vec, p) => {
+          let best = -1, bestScore = 0;
+          index.records.forEach((r, ri) => {
+            const s = cosineSimilarity(vec, r.embedding);
+            if (s > bestScore) { bestScore = s; best = ri; }
+          });
+          if (best >= 0 && bestScore >= cfg.minSimilarity) matchFor(p, best).similarity = Number(bestScore.toFixed(4));
+        });
+        report.embedding = "used";
+      } catch (e) {
+        if (signal?.aborted) throw e;
+        report.embedding = `skipped: ${e.message || e}`;
+      }
+    }
+  }
+
+  report.matches = [...found.values()]
+    .filter(m => m.overlap >= cfg.minOverlap || m.similarity != null)
+    .sort((a, b) => (b.overlap - a.overlap) || ((b.similarity || 0) - (a.similarity || 0)));
+  report.score = total ? Math.round((1 - copied / total) * 100) : 100;
+  if (report.matches.length) report.status = "warning";
+  return report;
+}
+
+// Short form stored on the session message and sent with the stream.
+export const originalitySummary = (r) => r && ({
+  status: r.status,
+  score: r.score,
+  matches: r.matches.map(({ id, file, title, overlap, similarity }) => ({ id, file, title, overlap, similarity }))
+});
@@ -0,0 +1,174 @@
+// lib/outline.js
+// Outline-first long-form drafting: the model plans the post as JSON, the
+// user edits/approves it, then the intro, each section and the conclusion are
+// generated separately and stitched together in order.
+//
+// Every prompt's first line is `TASK: <stage>` so logs (and the mock
+// provider) can tell the stages apart.
+
+import { registerMockStage } from "./providers.js";
+
+export const OUTLINE_LENGTHS = ["detailed", "ultra"];
+const SECTION_RANGE = { detailed: [4, 6], ultra: [6, 9] };
+const MAX_SECTIONS = 12;
+const MAX_POINTS = 8;
+const PREVIOUS_CHARS = 6000;
+
+const outlineError = (message) => Object.assign(new Error(message), { status: 422 });
+const clean = (s, max) => String(s ?? "").replace(/\s+/g, " ").trim().slice(0, max);
+
+/* ---------------- Outline ---------------- */
+export function outlineRequest(topic, { length = "detailed" } = {}) {
+  const [lo, hi] = SECTION_RANGE[length] || SECTION_RANGE.detailed;
+  const words = length === "ultra" ? "2000+" : "1200–1500";
+  return [
+    "TASK: outline",
+    `Plan a ${words}-word blog post for this request:`,
+    String(topic).trim(),
+    "",
+    "Respond with JSON only — no prose, no code fences — in exactly this shape:",
+    '{"title": "Post title", "angle": "One sentence stating the post\'s main argument", "sections": [{"heading": "Section heading", "points": ["key point", "key point"]}]}',
+    "",
+    `Use ${lo}–${hi} sections with 2–4 concrete points each. Leave out the introduction and conclusion; they are written separately.`
+  ].join("\n");
+}
+
+// Accepts raw model text (tolerates code fences / chatter around the JSON).
+export function parseOutline(text = "") {
+  const s = String(text);
+  const start = s.indexOf("{");
+  const end = s.lastIndexOf("}");
+  if (start < 0 || end <= start) throw outlineError("The model did not return an outline.");
+  let data;
+  try { data = JSON.parse(s.slice(start, end + 1)); }
+  catch { throw outlineError("The outline was not valid JSON."); }
+  return normalizeOutline(data);
+}
+
+// Also used on the user-edited outline coming back from the client.
+export function normalizeOutline(data = {}) {
+  const sections = (Array.isArray(data?.sections) ? data.sections : [])
+    .map(sec => ({
+      heading: clean(typeof sec === "string" ? sec : sec?.heading, 120),
+      points: (Array.isArray(sec?.points) ? sec.points : []).map(p => clean(p, 240)).filter(Boolean).slice(0, MAX_POINTS)
+    }))
+    .filter(sec => sec.heading)
+    .slice(0, MAX_SECTIONS);
+  if (!sections.length) throw outlineError("The outline needs at least one section with a heading.");
+  return {
+    title: clean(data.title, 140) || sections[0].heading,
+    angle: clean(data.angle, 300),
+    sections
+  };
+}
+
+const outlineText = (outline) => [
+  `Title: ${outline.title}`,
+  ...(outline.angle ? [`Angle: ${outline.angle}`] : []),
+  ...outline.sections.map((s, i) => `${i + 1}. ${s.heading}${s.points.length ? "\n" + s.points.map(p => `   - ${p}`).join("\n") : ""}`)
+].join("\n");
+
+// Most recent sections verbatim, older ones by heading only, within ~PREVIOUS_CHARS.
+function previousText(previous = []) {
+  let budget = PREVIOUS_CHARS;
+  const parts = [];
+  for (const p of [...previous].reverse()) {
+    const block = `## ${p.heading}\n${p.text.trim()}`;
+    if (block.length <= budget) { parts.unshift(block); budget -= block.length; }
+    else parts.unshift(`## ${p.heading}\n[…written earlier…]`);
+  }
+  return parts.join("\n\n");
+}
+
+/* ---------------- Stage prompts ---------------- */
+export function introRequest(topic, outline) {
+  return [
+    "TASK: intro",
+    `Original request: ${String(topic).trim()}`,
+    "",
+    "OUTLINE:",
+    outlineText(outline),
+    "",
+    "Write only the introduction (1–3 short paragraphs): hook the reader and preview what the sections cover.",
+    "No title, no headings, no sign-off."
+  ].join("\n");
+}
+
+export function sectionRequest(topic, outline, index, previous = []) {
+  const sec = outline.sections[index];
+  return [
+    "TASK: section",
+    `Original request: ${String(topic).trim()}`,
+    "",
+    "OUTLINE:",
+    outlineText(outline),
+    "",
+    ...(previous.length ? ["ALREADY WRITTEN (continue from here; don't repeat it):", previousText(previous), ""] : []),
+    `Write section ${index + 1} of ${outline.sections.length}: "${sec.heading}".`,
+    sec.points.length ? `Cover: ${sec.points.join("; ")}.` : "",
+    "Write only this section's body. Do not repeat its heading; use ### for any sub-headings. No sign-off."
+  ].filter(l => l !== "").join("\n");
+}
+
+export function conclusionRequest(topic, outline, previous = []) {
+  return [
+    "TASK: conclusion",
+    `Original request: ${String(topic).trim()}`,
+    "",
+    "OUTLINE:",
+    outlineText(outline),
+    "",
+    "ALREADY WRITTEN:",
+    previousText(previous),
+    "",
+    "Write only the closing: 1–2 short paragraphs that land the main argument with a clear call to action.",
+    "No heading. End with the sign-off if your voice guide defines one."
+  ].join("\n");
+}
+
+// Even split of the post's budget across intro + sections + conclusion.
+export function stageBudget(totalTokens, outline, { min = 350 } = {}) {
+  return Math.max(min, Math.round(totalTokens / (outline.sections.length + 2)));
+}
+
+/* ---------------- Stream filter ---------------- */
+// Models sometimes restate the heading they were given; drop a leading
+// Markdown heading line from a stage's stream before it reaches the client.
+export function leadingHeadingFilter(onDelta) {
+  let buf = "";
+  let decided = false;
+  return {
+    push(d) {
+      if (decided) return onDelta(d);
+      buf += d;
+      const nl = buf.indexOf("\n");
+      if (nl < 0 && buf.length < 200) return;
+      decided = true;
+      const rest = /^\s*#{1,6}\s/.test(buf) && nl >= 0 ? buf.slice(nl + 1).replace(/^\s+/, "") : buf.replace(/^\s+/, "");
+      if (rest) onDelta(rest);
+    },
+    flush() {
+      if (decided || !buf) return;
+      decided = true;
+      if (!/^\s*#{1,6}\s[^\n]*$/.test(buf)) onDelta(buf.replace(/^\s+/, ""));
+    }
+  };
+}
+
+/* ---------------- Demo-mode answers ---------------- */
+registerMockStage("outline", (_prompt, { topic, title }) => JSON.stringify({
+  title,
+  angle: `A practical take on ${topic}.`,
+  sections: [
+    { heading: "Why it matters", points: ["The cost of drifting", "What focus buys you"] },
+    { heading: "Where to start", points: ["Write the outcome", "Pick one metric"] },
+    { heading: "Keeping momentum", points: ["Weekly review", "Cut what doesn't move the metric"] }
+  ]
+}));
+registerMockStage("intro", (_prompt, { topic }) =>
+  `Most advice about ${topic} is easy to agree with and hard to apply. This post turns it into a few concrete moves.`);
+registerMockStage("section", (prompt) => {
+  const heading = prompt.match(/^Write section \d+ of \d+: "(.+)"\.$/m)?.[1] || "this section";
+  return `Here is the mock body for "${heading}". It stays on one idea, gives a concrete example, and ends with a next step.\n\n- One practical move.\n- One way to check it worked.`;
+});
+registerMockStage("conclusion", () => "Start small, measure honestly, and adjust every week. Pick the first step today.");
@@ -0,0 +1,67 @@
+// lib/personas.js
+// Author voices loaded from Markdown files with front-matter (data/personas/*.md).
+// Files are re-read when the directory listing or any mtime changes, so a new
+// or edited persona is live without a redeploy.
+//
+// Front-matter: id, name, description, default_tone, default_length, sign_off.
+// The Markdown body is the voice guide merged into the system prompt.
+
+import fs from "fs";
+import path from "path";
+import { parseFrontMatter } from "./frontmatter.js";
+
+const cache = { dir: null, signature: "", personas: [] };
+
+function signatureOf(dir, files) {
+  return files.map(f => {
+    try { return `${f}:${fs.statSync(path.join(dir, f)).mtimeMs}`; } catch { return f; }
+  }).join("|");
+}
+
+const slugId = (s = "") => String(s).toLowerCase().replace(/[^a-z0-9_-]+/g, "-").replace(/^-+|-+$/g, "");
+
+export function loadPersonas(dir) {
+  let files = [];
+  try { files = fs.readdirSync(dir).filter(f => /\.md$/i.test(f)).sort(); } catch { files = []; }
+  const signature = signatureOf(dir, files);
+  if (cache.dir === dir && cache.signature === signature) return cache.personas;
+
+  const personas = [];
+  for (const file of files) {
+    try {
+      const { data, body } = parseFrontMatter(fs.readFileSync(path.join(dir, file), "utf8"));
+      const id = slugId(data.id || file.replace(/\.md$/i, ""));
+      if (!id || personas.some(p => p.id === id)) continue;
+      personas.push({
+        id,
+        file,
+        name: String(data.name || id),
+        description: String(data.description || ""),
+        default_tone: data.default_tone ? String(data.default_tone) : null,
+        default_length: data.default_length ? String(data.default_length) : null,
+        sign_off: data.sign_off ? String(data.sign_off) : null,
+        guide: body.trim()
+      });
+    } catch {
+      // A malformed persona file should not take down the others.
+    }
+  }
+  Object.assign(cache, { dir, signature, personas });
+  return personas;
+}
+
+export function getPersona(dir, id) {
+  const want = slugId(id);
+  if (!want) return null;
+  return loadPersonas(dir).find(p => p.id === want) || null;
+}
+
+// Public listing (no guide body).
+export const personaSummary = ({ id, name, description, default_tone, default_length }) =>
+  ({ id, name, description, default_tone, default_length });
+
+export function personaInstruction(persona) {
+  if (!persona) return "";
+  const signOff = persona.sign_off ? `\nEnd with a sign-off in this form: ${persona.sign_off}` : "";
+  return `VOICE & STYLE (write as ${persona.name}):\n${persona.guide}${signOff}\n---`;
+}
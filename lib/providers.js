@@ -0,0 +1,376 @@
+// lib/providers.js
+// LLM provider layer. Every provider exposes the same surface so routes never
+// care which backend is configured:
+//
+//   check()                                  -> null | "reason it can't run"
+//   complete(messages, { maxTokens, signal, requestId }) -> { text, incompleteReason, raw }
+//   stream(messages, { maxTokens, signal, requestId, onDelta }) -> same, deltas via onDelta
+//
+// `requestId` is sent upstream as X-Client-Request-Id so a slow call can be
+// matched with the provider's own logs.
+//
+// incompleteReason is normalized to the Responses vocabulary
+// ("max_output_tokens", …) so auto-continue works the same everywhere.
+//
+//   responses — OpenAI /v1/responses (string input)
+//   chat      — any Chat Completions-compatible server (OpenAI, Ollama, llama.cpp)
+//   mock      — deterministic local backend for demos and offline testing
+
+import { smartJoin, normalizeOutputText } from "./text.js";
+import { httpError, upstreamError } from "./upstream.js";
+
+const OPENAI_BASE_URL = "https://api.openai.com/v1";
+const trimSlash = (s = "") => String(s).replace(/\/+$/, "");
+
+/* ---------------- Shared helpers ---------------- */
+export function messagesToPlainString(messages = []) {
+  return messages.map(m => {
+    const role = m.role.toUpperCase();
+    const content = typeof m.content === "string" ? m.content : JSON.stringify(m.content);
+    return `${role}:\n${content}`;
+  }).join("\n\n");
+}
+
+export function formatUpstreamError(label, status, bodyText) {
+  try {
+    const j = JSON.parse(bodyText);
+    const msg = j?.error?.message || j?.message || bodyText;
+    return `${label} error ${status}: ${msg}`;
+  } catch {
+    return `${label} error ${status}: ${bodyText || "(no body)"}`;
+  }
+}
+
+function authHeaders(apiKey) {
+  return apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+}
+
+const traceHeaders = (requestId) => (requestId ? { "X-Client-Request-Id": String(requestId).slice(0, 512) } : {});
+
+async function postJSON(url, body, { headers = {}, signal, label, requestId } = {}) {
+  const resp = await fetch(url, {
+    method: "POST",
+    headers: { ...headers, ...traceHeaders(requestId), "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal
+  });
+  const text = await resp.text().catch(()=> "");
+  if (!resp.ok) throw httpError(formatUpstreamError(label, resp.status, text), resp.status, { headers: resp.headers, body: text });
+  try { return JSON.parse(text); } catch { return {}; }
+}
+
+async function postStream(url, body, { headers = {}, signal, label, requestId } = {}) {
+  const resp = await fetch(url, {
+    method: "POST",
+    headers: { ...headers, ...traceHeaders(requestId), "Content-Type": "application/json", Accept: "text/event-stream" },
+    body: JSON.stringify(body),
+    signal
+  });
+  if (!resp.ok || !resp.body) {
+    const text = await resp.text().catch(()=> "");
+    throw httpError(formatUpstreamError(label, resp.status, text), resp.status, { headers: resp.headers, body: text });
+  }
+  return resp;
+}
+
+// An error reported inside a stream (HTTP status was already 200).
+function streamError(label, err = {}) {
+  const kind = String(err.code || err.type || "");
+  const code = /rate_limit/.test(kind) ? "rate_limited" : /insufficient_quota/.test(kind) ? "quota_exhausted"
+    : /server_error|overloaded|unavailable/.test(kind) ? "upstream_unavailable" : "upstream_error";
+  return upstreamError(`${label} error: ${err.message || err || "stream error"}`, { code });
+}
+
+export async function* readSSE(body) {
+  const dec = new TextDecoder("utf-8");
+  let buf = "";
+  for await (const chunk of body) {
+    buf += dec.decode(chunk, { stream: true });
+    const frames = buf.split(/\r?\n\r?\n/);
+    buf = frames.pop() || "";
+    for (const frame of frames) {
+      const data = frame.split(/\r?\n/).filter(l => l.startsWith("data:")).map(l => l.slice(5).trimStart()).join("\n");
+      if (!data || data === "[DONE]") continue;
+      try { yield JSON.parse(data); } catch {}
+    }
+  }
+}
+
+/* ---------------- Responses payloads ---------------- */
+/* Robust extractor for Responses variants */
+export function extractResponseText(data, { log = null } = {}) {
+  if (typeof data?.output_text === "string" && data.output_text) return normalizeOutputText(data.output_text);
+  if (Array.isArray(data?.output_text) && data.output_text.length) return normalizeOutputText(data.output_text.join(""));
+
+  const chunks = [];
+  const push = (s) => { if (s && typeof s === "string") chunks.push(s); };
+
+  const visit = (node, role = null) => {
+    if (node == null) return;
+    if (typeof node === "string") { push(node); return; }
+    if (Array.isArray(node)) { for (const n of node) visit(n, role); return; }
+    if (typeof node !== "object") return;
+
+    const nextRole = typeof node.role === "string" ? node.role : role;
+    const ty = node.type;
+
+    for (const k of ["output_text", "text", "content", "value", "message"]) {
+      if (typeof node[k] === "string") {
+        if (nextRole === "assistant" || k === "output_text" || ty === "output_text" || ty === "output_text_delta" || ty === "text" || ty === "refusal") {
+          push(node[k]);
+        }
+      }
+    }
+
+    if (node.delta) {
+      if (typeof node.delta === "string") push(node.delta);
+      else visit(node.delta, nextRole);
+    }
+
+    for (const k of ["output", "content", "message", "messages", "choices", "arguments", "items", "parts", "data"]) {
+      if (node[k]) visit(node[k], nextRole);
+    }
+  };
+
+  visit(data, null);
+
+  const out = normalizeOutputText(smartJoin(chunks)).trim();
+  if (!out && log?.enabled("debug")) {
+    try { log.debug("empty extract", { rawHead: JSON.stringify(data).slice(0, 400) }); } catch {}
+  }
+  return out;
+}
+
+export function getIncompleteReason(data) {
+  if (!data || typeof data !== "object") return null;
+  if (data.status === "incomplete") return data?.incomplete_details?.reason || "unknown";
+  return null;
+}
+
+/* ---------------- Provider: OpenAI Responses ---------------- */
+export function createResponsesProvider({ apiKey, baseUrl = OPENAI_BASE_URL, model, log = null } = {}) {
+  const url = `${trimSlash(baseUrl)}/responses`;
+  const label = "OpenAI";
+  const headers = authHeaders(apiKey);
+  const bodyFor = (messages, maxTokens, extra = {}) =>
+    ({ model, input: messagesToPlainString(messages), max_output_tokens: maxTokens, ...extra });
+
+  return {
+    name: "responses",
+    api_mode: "responses",
+    model,
+    baseUrl: trimSlash(baseUrl),
+    check() { return apiKey ? null : "OPENAI_API_KEY missing"; },
+
+    async complete(messages, { maxTokens, signal, requestId } = {}) {
+      if (!apiKey) throw new Error("OPENAI_API_KEY is missing");
+      const data = await postJSON(url, bodyFor(messages, maxTokens), { headers, signal, label, requestId });
+      return { text: extractResponseText(data, { log }), incompleteReason: getIncompleteReason(data), raw: data };
+    },
+
+    async stream(messages, { maxTokens, signal, requestId, onDelta = () => {} } = {}) {
+      if (!apiKey) throw new Error("OPENAI_API_KEY is missing");
+      const resp = await postStream(url, bodyFor(messages, maxTokens, { stream: true }), { headers, signal, label, requestId });
+
+      let text = "";
+      let final = null;
+      for await (const ev of readSSE(resp.body)) {
+        switch (ev.type) {
+          case "response.output_text.delta":
+            if (typeof ev.delta === "string" && ev.delta) { text += ev.delta; onDelta(ev.delta); }
+            break;
+          case "response.completed":
+          case "response.incomplete":
+            final = ev.response || null;
+            break;
+          case "response.failed":
+            throw streamError(label, ev.response?.error || { message: "response failed" });
+          case "error":
+            throw streamError(label, ev.error || ev);
+        }
+      }
+      // Some variants only carry text on the final payload.
+      if (!text && final) {
+        text = extractResponseText(final, { log });
+        if (text) onDelta(text);
+      }
+      return { text, incompleteReason: getIncompleteReason(final), raw: final };
+    }
+  };
+}
+
+/* ---------------- Provider: Chat Completions-compatible ---------------- */
+const FINISH_REASONS = { length: "max_output_tokens", content_filter: "content_filter" };
+
+export function createChatProvider({ apiKey, baseUrl = OPENAI_BASE_URL, model, tokenParam = "max_tokens" } = {}) {
+  const base = trimSlash(baseUrl);
+  const url = `${base}/chat/completions`;
+  const label = "LLM";
+  const headers = authHeaders(apiKey);
+  // Local servers (Ollama, llama.cpp) don't need a key; OpenAI does.
+  const needsKey = /api\.openai\.com/i.test(base);
+  const bodyFor = (messages, maxTokens, extra = {}) => ({
+    model,
+    messages: messages.map(m => ({ role: m.role, content: typeof m.content === "string" ? m.content : JSON.stringify(m.content) })),
+    [tokenParam]: maxTokens,
+    ...extra
+  });
+
+  return {
+    name: "chat",
+    api_mode: "chat_completions",
+    model,
+    baseUrl: base,
+    check() { return needsKey && !apiKey ? "OPENAI_API_KEY missing" : null; },
+
+    async complete(messages, { maxTokens, signal, requestId } = {}) {
+      const data = await postJSON(url, bodyFor(messages, maxTokens), { headers, signal, label, requestId });
+      const choice = data?.choices?.[0] || {};
+      const text = normalizeOutputText(String(choice.message?.content || "")).trim();
+      return { text, incompleteReason: FINISH_REASONS[choice.finish_reason] || null, raw: data };
+    },
+
+    async stream(messages, { maxTokens, signal, requestId, onDelta = () => {} } = {}) {
+      // include_usage adds a final chunk carrying token counts (ignored by servers that don't support it)
+      const resp = await postStream(url, bodyFor(messages, maxTokens, { stream: true, stream_options: { include_usage: true } }), { headers, signal, label, requestId });
+      let text = "";
+      let finish = null;
+      let last = null;
+      for await (const ev of readSSE(resp.body)) {
+        if (ev.error) throw streamError(label, typeof ev.error === "object" ? ev.error : { message: ev.error });
+        const choice = ev.choices?.[0];
+        const d = choice?.delta?.content;
+        if (typeof d === "string" && d) { text += d; onDelta(d); }
+        if (choice?.finish_reason) finish = choice.finish_reason;
+        last = ev;
+      }
+      return { text, incompleteReason: FINISH_REASONS[finish] || null, raw: last };
+    }
+  };
+}
+
+/* ---------------- Provider: deterministic mock ---------------- */
+const CONTINUE_RE = /^Continue from where you stopped/i;
+
+const titleCase = (s = "") => s.replace(/\w\S*/g, w => w[0].toUpperCase() + w.slice(1));
+
+// Staged prompts start with "TASK: <stage>". Each feature registers its own
+// canned answer next to the code that builds the prompt (registerMockStage);
+// anything unregistered gets the generic draft below.
+const MOCK_STAGES = new Map();
+export function registerMockStage(stage, answer) {
+  MOCK_STAGES.set(stage, answer);
+}
+
+export function mockDraft(prompt = "") {
+  prompt = String(prompt);
+  const stage = prompt.match(/^TASK: ([\w-]+)/)?.[1];
+  if (stage && MOCK_STAGES.has(stage)) {
+    const topic = (prompt.match(/^Original request: (.+)$/m)?.[1] || prompt.split("\n")[2] || "your topic").replace(/[.!?]+$/, "").slice(0, 80);
+    return MOCK_STAGES.get(stage)(prompt, { topic, title: titleCase(topic) });
+  }
+  const first = prompt.split("\n").map(l => l.trim()).find(l => l && !/^TASK: /.test(l)) || "your topic";
+  const topic = first.replace(/[.!?]+$/, "").slice(0, 80);
+  return [
+    `# ${titleCase(topic)}`,
+    "",
+    `This is a deterministic mock draft about "${topic}". It is generated locally so every route can be exercised without a model.`,
+    "",
+    "## Why it matters",
+    "",
+    "- Clear goals keep the work focused.",
+    "- Small, measurable steps build momentum.",
+    "- Regular review turns effort into results.",
+    "",
+    "## Action steps",
+    "",
+    "1. Write a one-sentence outcome for the project.",
+    "2. Pick one metric that proves progress.",
+    "3. Run a 7-day experiment and review the numbers.",
+    "",
+    "**Bottom line:** Start small, measure, iterate."
+  ].join("\n");
+}
+
+export function createMockProvider({ model = "mock", delayMs = 0 } = {}) {
+  // Deterministic output; a small budget yields "max_output_tokens" and a
+  // follow-up "Continue…" round resumes after the previous assistant text.
+  const run = (messages, maxTokens) => {
+    const last = messages[messages.length - 1];
+    const prompt = [...messages].reverse().find(m => m.role === "user" && !CONTINUE_RE.test(String(m.content)))?.content || "";
+    const full = mockDraft(prompt);
+
+    let offset = 0;
+    if (last?.role === "user" && CONTINUE_RE.test(String(last.content))) {
+      const prev = String(messages[messages.length - 2]?.content || "");
+      const at = prev ? full.indexOf(prev) : -1;
+      if (at >= 0) offset = at + prev.length;
+      if (offset >= full.length) offset = 0;
+    }
+
+    const maxChars = Math.max(16, Math.floor(Number(maxTokens || 1e6) * 4));
+    let piece = full.slice(offset, offset + maxChars);
+    const cut = offset + piece.length < full.length;
+    if (cut) {
+      const ws = piece.search(/\s\S*$/);
+      if (ws > 0) piece = piece.slice(0, ws);
+    }
+    const raw = {
+      id: `mock_${full.length}_${offset}`,
+      object: "response",
+      model,
+      status: cut ? "incomplete" : "completed",
+      incomplete_details: cut ? { reason: "max_output_tokens" } : null,
+      output_text: piece,
+      usage: {
+        input_tokens: Math.ceil(messagesToPlainString(messages).length / 4),
+        output_tokens: Math.ceil(piece.length / 4)
+      }
+    };
+    return { text: piece, incompleteReason: cut ? "max_output_tokens" : null, raw };
+  };
+
+  return {
+    name: "mock",
+    api_mode: "mock",
+    model,
+    baseUrl: null,
+    check() { return null; },
+
+    async complete(messages, { maxTokens, signal } = {}) {
+      if (signal?.aborted) throw new Error("Aborted");
+      return run(messages, maxTokens);
+    },
+
+    async stream(messages, { maxTokens, signal, onDelta = () => {} } = {}) {
+      const result = run(messages, maxTokens);
+      for (const part of result.text.match(/\S+\s*|\s+/g) || []) {
+        if (signal?.aborted) throw new Error("Aborted");
+        onDelta(part);
+        if (delayMs) await new Promise(r => setTimeout(r, delayMs));
+      }
+      return result;
+    }
+  };
+}
+
+/* ---------------- Selection ---------------- */
+// LLM_PROVIDER=responses|chat|mock. Defaults: DEMO_MODE → mock, gpt-5* → responses, anything else → chat.
+export function providerFromEnv(env = process.env, { model, demo = false, log = null } = {}) {
+  const kind = String(env.LLM_PROVIDER || (demo ? "mock" : /^gpt-5/i.test(model) ? "responses" : "chat")).toLowerCase();
+  switch (kind) {
+    case "mock":
+      return createMockProvider({ delayMs: Number(env.MOCK_DELAY_MS || 0) });
+    case "chat":
+      return createChatProvider({
+        apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY,
+        baseUrl: env.LLM_BASE_URL || OPENAI_BASE_URL,
+        model,
+        tokenParam: env.LLM_MAX_TOKENS_PARAM || "max_tokens"
+      });
+    case "responses":
+      return createResponsesProvider({ apiKey: env.OPENAI_API_KEY, baseUrl: env.OPENAI_BASE_URL || OPENAI_BASE_URL, model, log });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER '${kind}' (expected responses, chat or mock)`);
+  }
+}
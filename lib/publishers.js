@@ -0,0 +1,174 @@
+// lib/publishers.js
+// Pushes a finished reply to where the blog lives. Targets are configured in
+// data/publish-targets.json (or PUBLISH_TARGETS_FILE):
+//
+//   { "targets": [
+//     { "id": "blog", "type": "wordpress", "url": "https://example.com", "username": "editor", "passwordEnv": "WP_APP_PASSWORD" },
+//     { "id": "site", "type": "markdown", "dir": "../site/content/posts", "urlBase": "https://example.com/posts/" },
+//     { "id": "zap",  "type": "webhook", "url": "https://hooks.example.com/hanza", "secretEnv": "PUBLISH_WEBHOOK_SECRET" }
+//   ] }
+//
+// Secrets can be inline (`password`, `secret`) but `*Env` names keep them out
+// of the file. Each publisher creates the post the first time and updates the
+// same remote post when given its `remoteId` again.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { stringifyFrontMatter } from "./frontmatter.js";
+import { markdownToHtml } from "./exporters.js";
+import { slugify } from "./seo.js";
+import { createLogger } from "./logger.js";
+
+export const PUBLISH_TYPES = ["wordpress", "markdown", "webhook"];
+export const PUBLISH_STATUSES = ["draft", "scheduled"];
+const TIMEOUT_MS = 15_000;
+
+const publishError = (message, status = 502) => Object.assign(new Error(message), { status });
+const secretOf = (t, key, env) => t[key] || (t[`${key}Env`] ? env[t[`${key}Env`]] : "") || "";
+
+/* ---------------- Config ---------------- */
+// The file is re-read per request; say what's wrong with it once, not every time.
+const warned = new Set();
+const warnOnce = (log, msg, extra) => {
+  const key = JSON.stringify([msg, extra]);
+  if (!warned.has(key)) { warned.add(key); log.warn(msg, extra); }
+};
+
+// Invalid entries are dropped with a warning; a missing file means no targets.
+export function loadPublishTargets(file, { env = process.env, root = process.cwd(), log = createLogger() } = {}) {
+  let raw;
+  try { raw = JSON.parse(fs.readFileSync(file, "utf8")); }
+  catch (e) {
+    if (e.code !== "ENOENT") warnOnce(log, "publish targets file is not valid JSON; publishing is disabled", { file });
+    return [];
+  }
+  const list = Array.isArray(raw) ? raw : Array.isArray(raw?.targets) ? raw.targets : [];
+  const seen = new Set();
+  return list.filter(t => {
+    const ok = t && /^[\w-]{1,40}$/.test(t.id || "") && PUBLISH_TYPES.includes(t.type) && !seen.has(t.id)
+      && (t.type === "markdown" ? !!t.dir : /^https?:\/\//.test(t.url || ""));
+    if (!ok) warnOnce(log, `ignoring publish target: needs a unique id, a type (${PUBLISH_TYPES.join(", ")}) and a url/dir`, { target: t?.id ?? t });
+    else seen.add(t.id);
+    return ok;
+  }).map(t => ({
+    ...t,
+    label: t.label || t.id,
+    ...(t.type === "markdown" ? { dir: path.resolve(root, t.dir) } : { url: t.url.replace(/\/+$/, "") }),
+    password: secretOf(t, "password", env),
+    secret: secretOf(t, "secret", env)
+  }));
+}
+
+// What the UI may see: no urls with credentials, no secrets.
+export const targetSummary = (t) => ({ id: t.id, type: t.type, label: t.label });
+
+/* ---------------- Post ---------------- */
+// `doc` is a reply export doc (buildExportDoc scope "reply"): title + body
+// without its H1, plus the reply's SEO metadata when it has some.
+export function buildPost(doc, { status = "draft", publishAt = null, now = new Date() } = {}) {
+  if (!PUBLISH_STATUSES.includes(status)) throw publishError(`Unknown status. Use one of: ${PUBLISH_STATUSES.join(", ")}.`, 400);
+  let date = null;
+  if (status === "scheduled") {
+    date = publishAt ? new Date(publishAt) : null;
+    if (!date || Number.isNaN(date.getTime())) throw publishError("Scheduling needs a valid 'publishAt' date.", 400);
+    if (date <= now) throw publishError("'publishAt' must be in the future.", 400);
+  }
+  const seo = doc.seo || {};
+  const markdown = doc.sections[0].markdown.trim();
+  return {
+    title: doc.title,
+    slug: seo.slug || slugify(doc.title) || "post",
+    excerpt: seo.metaDescription || "",
+    keyword: seo.keyword || "",
+    og: seo.og || null,
+    markdown,
+    html: markdownToHtml(markdown),
+    status,
+    publishAt: date ? date.toISOString() : null
+  };
+}
+
+/* ---------------- HTTP ---------------- */
+async function send(url, { method = "POST", headers = {}, body, signal }) {
+  let res;
+  try {
+    res = await fetch(url, { method, headers, body, signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(TIMEOUT_MS)]) : AbortSignal.timeout(TIMEOUT_MS) });
+  } catch (e) {
+    throw publishError(`Couldn't reach ${new URL(url).host}: ${e.cause?.code || e.message || e}`);
+  }
+  const text = await res.text();
+  let data = null;
+  try { data = text ? JSON.parse(text) : null; } catch { /* non-JSON reply */ }
+  if (!res.ok) throw publishError(`${new URL(url).host} answered ${res.status}: ${data?.message || data?.error || text.slice(0, 200) || res.statusText}`);
+  return data;
+}
+
+/* ---------------- Publishers ---------------- */
+// WordPress REST API with an application password (Users → Profile).
+// Scheduled posts use WordPress's own "future" status.
+function wordpress(target) {
+  const auth = "Basic " + Buffer.from(`${target.username || ""}:${target.password}`).toString("base64");
+  return async (post, { remoteId = null, signal } = {}) => {
+    const body = {
+      title: post.title,
+      content: post.html,
+      slug: post.slug,
+      excerpt: post.excerpt,
+      status: post.status === "scheduled" ? "future" : "draft",
+      ...(post.publishAt ? { date_gmt: post.publishAt.slice(0, 19) } : {})
+    };
+    const url = `${target.url}/wp-json/wp/v2/posts${remoteId ? `/${encodeURIComponent(remoteId)}` : ""}`;
+    const data = await send(url, { headers: { Authorization: auth, "Content-Type": "application/json" }, body: JSON.stringify(body), signal });
+    if (data?.id == null) throw publishError("WordPress did not return a post id.");
+    return { remoteId: String(data.id), url: data.link || null };
+  };
+}
+
+// Static-site folder (Hugo/Jekyll/Eleventy/Astro): one front-matter Markdown
+// file per post. Drafts are `draft: true`; scheduled posts carry their future
+// `date`, which static generators hold back until then.
+function markdownFolder(target) {
+  return async (post, { remoteId = null } = {}) => {
+    fs.mkdirSync(target.dir, { recursive: true });
+    const day = (post.publishAt || new Date().toISOString()).slice(0, 10);
+    const name = remoteId && /^[\w.-]+\.md$/.test(remoteId) ? remoteId : `${day}-${post.slug}.md`;
+    const file = path.join(target.dir, name);
+    if (path.dirname(file) !== target.dir) throw publishError("Invalid file name.", 400);
+    const data = {
+      title: post.title,
+      date: post.publishAt || new Date().toISOString(),
+      slug: post.slug,
+      description: post.excerpt,
+      keywords: post.keyword ? [post.keyword] : null,
+      draft: post.status === "draft",
+      og_title: post.og?.title,
+      og_description: post.og?.description
+    };
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, stringifyFrontMatter(data, post.markdown + "\n"), "utf8");
+    fs.renameSync(tmp, file);
+    return { remoteId: name, url: target.urlBase ? `${target.urlBase.replace(/\/?$/, "/")}${post.slug}/` : null };
+  };
+}
+
+// Generic webhook: JSON body, optional HMAC-SHA256 of it in X-Hanza-Signature.
+// The receiver may answer { id, url } to have them recorded.
+function webhook(target) {
+  return async (post, { remoteId = null, signal } = {}) => {
+    const body = JSON.stringify({ event: remoteId ? "post.updated" : "post.created", remoteId, post });
+    const headers = { "Content-Type": "application/json", ...(target.headers || {}) };
+    if (target.secret) headers["X-Hanza-Signature"] = "sha256=" + crypto.createHmac("sha256", target.secret).update(body).digest("hex");
+    const data = await send(target.url, { headers, body, signal });
+    return { remoteId: data?.id != null ? String(data.id) : remoteId, url: data?.url || data?.link || null };
+  };
+}
+
+const FACTORIES = { wordpress, markdown: markdownFolder, webhook };
+
+// → (post, { remoteId, signal }) => Promise<{ remoteId, url }>
+export function createPublisher(target) {
+  const make = FACTORIES[target?.type];
+  if (!make) throw publishError(`Unknown publish target type '${target?.type}'.`, 400);
+  return make(target);
+}
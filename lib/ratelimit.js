@@ -0,0 +1,31 @@
+// lib/ratelimit.js
+// In-memory sliding-window limiter (per process). Keys are user ids, or the
+// client IP when everyone shares the local user.
+
+export function createRateLimiter({ limit = 20, windowMs = 60_000 } = {}) {
+  const hits = new Map(); // key -> sorted timestamps inside the window
+
+  const prune = (key, now) => {
+    const list = (hits.get(key) || []).filter(t => now - t < windowMs);
+    if (list.length) hits.set(key, list); else hits.delete(key);
+    return list;
+  };
+
+  return {
+    limit,
+    windowMs,
+    // Counts a hit when allowed. retryAfter is in seconds.
+    take(key) {
+      const now = Date.now();
+      if (hits.size > 10_000) for (const k of hits.keys()) prune(k, now);
+      const list = prune(key, now);
+      if (limit > 0 && list.length >= limit) {
+        const resetAt = list[0] + windowMs;
+        return { ok: false, limit, remaining: 0, retryAfter: Math.max(1, Math.ceil((resetAt - now) / 1000)), resetAt: new Date(resetAt).toISOString() };
+      }
+      list.push(now);
+      hits.set(key, list);
+      return { ok: true, limit, remaining: limit > 0 ? limit - list.length : null, retryAfter: 0, resetAt: new Date(list[0] + windowMs).toISOString() };
+    }
+  };
+}
@@ -0,0 +1,273 @@
+// lib/repurpose.js
+// Turns one finished post into channel-specific pieces: an email newsletter,
+// X and LinkedIn threads, an Instagram caption and a short video script.
+// Each channel is its own model call returning JSON; the result is checked
+// against the platform's limits, repaired by the model once if it breaks
+// them, and finally forced into shape mechanically (posts split, hashtags
+// capped) with whatever still doesn't fit reported as issues.
+
+import { registerMockStage } from "./providers.js";
+
+export const REPURPOSE_CHANNELS = {
+  newsletter: {
+    label: "Email newsletter",
+    tokens: 1400,
+    subjectMax: 60,
+    preheaderMax: 110,
+    shape: '{"subject": "…", "preheader": "…", "body": "Markdown body", "cta": "…"}',
+    brief: "A self-contained email for subscribers: a subject line, a preheader, a 200–400 word body in Markdown that stands on its own, and one call to action."
+  },
+  x: {
+    label: "X thread",
+    tokens: 1000,
+    maxChars: 280,
+    maxPosts: 10,
+    shape: '{"posts": ["1/ …", "2/ …"]}',
+    brief: "A thread of 4–8 posts. The first post is a hook that works alone; each post makes one point; the last one links back to the full post."
+  },
+  linkedin: {
+    label: "LinkedIn",
+    tokens: 1400,
+    maxChars: 3000,
+    maxPosts: 3,
+    shape: '{"posts": ["…"]}',
+    brief: "One LinkedIn post (or up to 3 for a series), 150–300 words each, short paragraphs, a strong first line before the \"see more\" fold, ending with a question."
+  },
+  instagram: {
+    label: "Instagram",
+    tokens: 900,
+    captionMax: 2200,
+    maxHashtags: 30,
+    shape: '{"caption": "…", "hashtags": ["#tag"]}',
+    brief: "A caption with a hook in the first line, 80–200 words, line breaks for readability, a call to action, and 8–15 relevant hashtags listed separately."
+  },
+  video: {
+    label: "Video script",
+    tokens: 1000,
+    maxSeconds: 60,
+    wordsPerSecond: 2.5,
+    shape: '{"title": "…", "hook": "first 3 seconds", "scenes": [{"visual": "on-screen visual", "voiceover": "spoken line", "seconds": 8}], "cta": "…"}',
+    brief: "A vertical short-form video script (Reels/Shorts/TikTok) of 30–60 seconds: a 3-second hook, 4–7 scenes with on-screen visuals and voiceover, and a closing call to action."
+  }
+};
+export const CHANNEL_IDS = Object.keys(REPURPOSE_CHANNELS);
+const MAX_DRAFT_CHARS = 24000;
+
+const repurposeError = (message, status = 422) => Object.assign(new Error(message), { status });
+const chars = (s) => [...String(s ?? "")].length;   // code points, as the platforms count
+const str = (v) => (typeof v === "string" ? v.trim() : "");
+
+export function resolveChannels(raw) {
+  if (raw == null || raw === "" || (Array.isArray(raw) && !raw.length)) return [...CHANNEL_IDS];
+  const list = [...new Set((Array.isArray(raw) ? raw : String(raw).split(",")).map(c => String(c).trim().toLowerCase()).filter(Boolean))];
+  const unknown = list.filter(c => !REPURPOSE_CHANNELS[c]);
+  if (unknown.length) throw repurposeError(`Unknown channel '${unknown[0]}'. Use any of: ${CHANNEL_IDS.join(", ")}.`, 400);
+  return list;
+}
+
+const limitsText = (id) => {
+  const c = REPURPOSE_CHANNELS[id];
+  switch (id) {
+    case "newsletter": return `Subject at most ${c.subjectMax} characters; preheader at most ${c.preheaderMax}.`;
+    case "x":
+    case "linkedin":   return `At most ${c.maxPosts} posts; every post at most ${c.maxChars} characters including numbering.`;
+    case "instagram":  return `Caption plus hashtags at most ${c.captionMax} characters; at most ${c.maxHashtags} hashtags.`;
+    case "video":      return `Total at most ${c.maxSeconds} seconds; voiceover about ${c.wordsPerSecond} words per second of its scene.`;
+    default:           return "";
+  }
+};
+
+/* ---------------- Prompts ---------------- */
+export function repurposeRequest(id, draft, { url = "" } = {}) {
+  const c = REPURPOSE_CHANNELS[id];
+  return [
+    "TASK: repurpose",
+    `CHANNEL: ${id}`,
+    `Repurpose the blog post below as: ${c.label}.`,
+    c.brief,
+    `Limits: ${limitsText(id)}`,
+    ...(url ? [`Link to the full post: ${url}`] : []),
+    "Keep the author's voice and the post's facts; don't invent statistics.",
+    "",
+    "<<<DRAFT",
+    String(draft).trim().slice(0, MAX_DRAFT_CHARS),
+    "DRAFT>>>",
+    "",
+    "Respond with JSON only — no prose, no code fences — in exactly this shape:",
+    c.shape
+  ].join("\n");
+}
+
+// Second try with the specific violations listed.
+export function repairRequest(id, previous, issues) {
+  return [
+    "TASK: repurpose",
+    `CHANNEL: ${id}`,
+    `Fix this ${REPURPOSE_CHANNELS[id].label} so it meets the limits. Keep everything else.`,
+    `Limits: ${limitsText(id)}`,
+    "",
+    "PROBLEMS:",
+    ...issues.map(i => `- ${i}`),
+    "",
+    "<<<JSON",
+    JSON.stringify(previous),
+    "JSON>>>",
+    "",
+    "Respond with the corrected JSON only, same shape."
+  ].join("\n");
+}
+
+// Tolerates code fences / chatter around the JSON; null when there's none.
+export function parseChannelJson(text = "") {
+  const s = String(text);
+  const start = s.indexOf("{");
+  const end = s.lastIndexOf("}");
+  if (start < 0 || end <= start) return null;
+  try { return JSON.parse(s.slice(start, end + 1)); } catch { return null; }
+}
+
+/* ---------------- Validation ---------------- */
+const normalizeTag = (t) => {
+  const tag = String(t ?? "").replace(/^#+/, "").replace(/[^\p{L}\p{N}_]/gu, "");
+  return tag ? `#${tag}` : "";
+};
+
+// Coerces the model's JSON into the channel shape and lists limit violations.
+// An unusable payload (nothing to show) throws.
+export function validateChannel(id, data) {
+  const c = REPURPOSE_CHANNELS[id];
+  const issues = [];
+  let value;
+  switch (id) {
+    case "newsletter": {
+      value = { subject: str(data?.subject), preheader: str(data?.preheader), body: str(data?.body), cta: str(data?.cta) };
+      if (!value.body) throw repurposeError("The newsletter came back without a body.", 502);
+      if (!value.subject) issues.push("Missing subject line.");
+      if (chars(value.subject) > c.subjectMax) issues.push(`Subject is ${chars(value.subject)} characters (max ${c.subjectMax}).`);
+      if (chars(value.preheader) > c.preheaderMax) issues.push(`Preheader is ${chars(value.preheader)} characters (max ${c.preheaderMax}).`);
+      break;
+    }
+    case "x":
+    case "linkedin": {
+      const posts = (Array.isArray(data?.posts) ? data.posts : typeof data?.posts === "string" ? [data.posts] : []).map(str).filter(Boolean);
+      if (!posts.length) throw repurposeError(`The ${c.label} came back without posts.`, 502);
+      value = { posts };
+      if (posts.length > c.maxPosts) issues.push(`${posts.length} posts (max ${c.maxPosts}).`);
+      posts.forEach((p, i) => { if (chars(p) > c.maxChars) issues.push(`Post ${i + 1} is ${chars(p)} characters (max ${c.maxChars}).`); });
+      break;
+    }
+    case "instagram": {
+      const fromCaption = (str(data?.caption).match(/#[\p{L}\p{N}_]+/gu) || []);
+      const caption = str(data?.caption).replace(/(?:\s*#[\p{L}\p{N}_]+)+\s*$/u, "").trim();
+      if (!caption) throw repurposeError("The Instagram caption came back empty.", 502);
+      const hashtags = [...new Set([...(Array.isArray(data?.hashtags) ? data.hashtags : []), ...fromCaption].map(normalizeTag).filter(Boolean).map(t => t.toLowerCase()))];
+      value = { caption, hashtags };
+      if (hashtags.length > c.maxHashtags) issues.push(`${hashtags.length} hashtags (max ${c.maxHashtags}).`);
+      const total = chars(caption) + (hashtags.length ? 2 + chars(hashtags.join(" ")) : 0);
+      if (total > c.captionMax) issues.push(`Caption with hashtags is ${total} characters (max ${c.captionMax}).`);
+      break;
+    }
+    case "video": {
+      const scenes = (Array.isArray(data?.scenes) ? data.scenes : [])
+        .map(s => ({ visual: str(s?.visual), voiceover: str(s?.voiceover), seconds: Math.max(1, Math.round(Number(s?.seconds) || 0)) }))
+        .filter(s => s.voiceover || s.visual);
+      if (!scenes.length) throw repurposeError("The video script came back without scenes.", 502);
+      value = { title: str(data?.title), hook: str(data?.hook), scenes, cta: str(data?.cta) };
+      const seconds = scenes.reduce((n, s) => n + s.seconds, 0);
+      value.seconds = seconds;
+      if (seconds > c.maxSeconds) issues.push(`Runs ${seconds} seconds (max ${c.maxSeconds}).`);
+      scenes.forEach((s, i) => {
+        const words = s.voiceover.split(/\s+/).filter(Boolean).length;
+        if (words > Math.ceil(s.seconds * c.wordsPerSecond * 1.2)) issues.push(`Scene ${i + 1} has ${words} words of voiceover for ${s.seconds} seconds.`);
+      });
+      break;
+    }
+    default:
+      throw repurposeError(`Unknown channel '${id}'.`, 400);
+  }
+  return { value, issues };
+}
+
+/* ---------------- Mechanical fixes ---------------- */
+// Splits text into pieces of at most `max` characters at sentence, then word, boundaries.
+function splitToFit(text, max) {
+  const out = [];
+  let rest = String(text).trim();
+  while (chars(rest) > max) {
+    const head = [...rest].slice(0, max).join("");
+    let cut = Math.max(head.lastIndexOf(". "), head.lastIndexOf("! "), head.lastIndexOf("? "), head.lastIndexOf("\n"));
+    if (cut < max * 0.4) cut = head.lastIndexOf(" ");
+    if (cut <= 0) cut = head.length - 1;
+    out.push(rest.slice(0, cut + 1).trim());
+    rest = rest.slice(cut + 1).trim();
+  }
+  if (rest) out.push(rest);
+  return out;
+}
+
+const clip = (s, max) => chars(s) <= max ? s : [...s].slice(0, max - 1).join("").replace(/\s+\S*$/, "") + "…";
+
+// Last resort after the repair round; returns a value that fits plus what was changed.
+export function enforceChannel(id, value) {
+  const c = REPURPOSE_CHANNELS[id];
+  const changes = [];
+  const v = JSON.parse(JSON.stringify(value));
+  switch (id) {
+    case "newsletter":
+      if (chars(v.subject) > c.subjectMax) { v.subject = clip(v.subject, c.subjectMax); changes.push("Shortened the subject line."); }
+      if (chars(v.preheader) > c.preheaderMax) { v.preheader = clip(v.preheader, c.preheaderMax); changes.push("Shortened the preheader."); }
+      break;
+    case "x":
+    case "linkedin": {
+      const numbered = id === "x" && v.posts.every(p => /^\d+\/\d*\s/.test(p));
+      const bodies = numbered ? v.posts.map(p => p.replace(/^\d+\/\d*\s+/, "")) : v.posts;
+      const room = numbered ? c.maxChars - 6 : c.maxChars;
+      const split = bodies.flatMap(p => splitToFit(p, room));
+      if (split.length !== bodies.length) changes.push("Split posts that were over the character limit.");
+      v.posts = numbered ? split.map((p, i) => `${i + 1}/ ${p}`) : split;
+      if (v.posts.length > c.maxPosts) changes.push(`The thread has ${v.posts.length} posts; trim it to ${c.maxPosts} before posting.`);
+      break;
+    }
+    case "instagram": {
+      if (v.hashtags.length > c.maxHashtags) { v.hashtags = v.hashtags.slice(0, c.maxHashtags); changes.push(`Kept the first ${c.maxHashtags} hashtags.`); }
+      const room = c.captionMax - (v.hashtags.length ? 2 + chars(v.hashtags.join(" ")) : 0);
+      if (chars(v.caption) > room) { v.caption = clip(v.caption, room); changes.push("Shortened the caption to fit with its hashtags."); }
+      break;
+    }
+    case "video":
+      if (v.seconds > c.maxSeconds) changes.push(`The script runs ${v.seconds}s; cut a scene to get under ${c.maxSeconds}s.`);
+      break;
+  }
+  return { value: v, changes };
+}
+
+/* ---------------- Demo-mode answer ---------------- */
+// A repair round gets its JSON back unchanged; the checks above enforce the limits.
+registerMockStage("repurpose", (prompt, { title: fallbackTitle }) => {
+  const previous = prompt.match(/<<<JSON\n([\s\S]*?)\nJSON>>>/)?.[1];
+  if (previous) return previous;
+  const channel = prompt.match(/^CHANNEL: (\w+)$/m)?.[1] || "";
+  const draft = prompt.match(/<<<DRAFT\n([\s\S]*?)\nDRAFT>>>/)?.[1] || "";
+  const title = (draft.match(/^#\s+(.+)$/m)?.[1] || fallbackTitle).trim();
+  const points = draft.split("\n").filter(l => l.trim() && !/^#/.test(l)).join(" ")
+    .split(/(?<=[.!?])\s+/).map(s => s.replace(/^[-*]\s+|\*\*/g, "").trim()).filter(s => s.length > 20).slice(0, 5);
+  const tags = title.toLowerCase().split(/\W+/).filter(w => w.length > 3).map(w => `#${w}`);
+  switch (channel) {
+    case "newsletter":
+      return JSON.stringify({ subject: title.slice(0, 60), preheader: points[0]?.slice(0, 100) || "", body: `Hi there,\n\n${points.join("\n\n")}\n\nThanks for reading.`, cta: "Read the full post" });
+    case "x":
+      return JSON.stringify({ posts: [`1/ ${title}: a thread.`, ...points.map((p, i) => `${i + 2}/ ${p}`), `${points.length + 2}/ Full post on the blog.`] });
+    case "linkedin":
+      return JSON.stringify({ posts: [`${title}.\n\n${points.join("\n\n")}\n\nWhat would you add?`] });
+    case "instagram":
+      return JSON.stringify({ caption: `${title} ✨\n\n${points.slice(0, 3).join("\n\n")}\n\nSave this for later.`, hashtags: [...tags, "#blogging", "#tips"] });
+    case "video":
+      return JSON.stringify({
+        title, hook: `Stop scrolling: ${title.toLowerCase()}.`,
+        scenes: points.slice(0, 4).map((p, i) => ({ visual: `Text on screen: point ${i + 1}`, voiceover: p.split(/\s+/).slice(0, 20).join(" "), seconds: 10 })),
+        cta: "Follow for the full post."
+      });
+    default:
+      return "{}";
+  }
+});
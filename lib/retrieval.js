@@ -0,0 +1,83 @@
+// lib/retrieval.js
+// Loads data/index.json (written by scripts/build_index.mjs) and ranks its
+// chunks against a query by cosine similarity.
+
+import fs from "fs";
+import { getEmbedder } from "./embeddings.js";
+import { indexedFilesOf } from "./indexer.js";
+
+export function cosineSimilarity(a = [], b = []) {
+  const n = Math.min(a.length, b.length);
+  if (!n) return 0;
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < n; i++) {
+    dot += a[i] * b[i];
+    na  += a[i] * a[i];
+    nb  += b[i] * b[i];
+  }
+  if (!na || !nb) return 0;
+  return dot / (Math.sqrt(na) * Math.sqrt(nb));
+}
+
+// Cached by path + mtime so a rebuilt index is picked up without a restart.
+const cache = new Map();
+export function loadIndex(file) {
+  let st;
+  try { st = fs.statSync(file); } catch { return null; }
+  const hit = cache.get(file);
+  if (hit && hit.mtimeMs === st.mtimeMs) return hit.index;
+
+  const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  const records = Array.isArray(parsed?.records) ? parsed.records.filter(r => Array.isArray(r?.embedding)) : [];
+  const index = { model: parsed?.model || null, createdAt: parsed?.createdAt || null, files: indexedFilesOf(parsed), records };
+  cache.set(file, { mtimeMs: st.mtimeMs, index });
+  return index;
+}
+
+export function rankRecords(queryVec, records = [], { k = 4, minScore = 0 } = {}) {
+  return records
+    .map(r => ({ record: r, score: cosineSimilarity(queryVec, r.embedding) }))
+    .filter(h => h.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, Math.max(0, k));
+}
+
+// Returns [] (never throws on a missing index) so drafting keeps working
+// before build:index has been run.
+export async function retrieve(query, { indexFile, k = 4, minScore = 0, embedder = getEmbedder(), signal } = {}) {
+  const q = String(query || "").trim();
+  if (!q || k <= 0) return [];
+  const index = loadIndex(indexFile);
+  if (!index || !index.records.length) return [];
+  if (index.model && embedder.model && index.model !== embedder.model) {
+    throw new Error(`Index was built with '${index.model}' but the embedder is '${embedder.model}'. Rebuild the index.`);
+  }
+  const [vec] = await embedder.embed([q], { signal });
+  return rankRecords(vec, index.records, { k, minScore }).map(({ record, score }) => ({
+    id: record.id,
+    file: record.file,
+    title: record.title,
+    url: record.url || null,
+    content: record.content,
+    score: Number(score.toFixed(4))
+  }));
+}
+
+// Specific chunks by id (e.g. excerpts the user pinned from search), as hits.
+export function getRecordsById(indexFile, ids = []) {
+  const index = loadIndex(indexFile);
+  if (!index || !ids.length) return [];
+  const byId = new Map(index.records.map(r => [r.id, r]));
+  return [...new Set(ids.map(String))].map(id => byId.get(id)).filter(Boolean).map(r => ({
+    id: r.id, file: r.file, title: r.title, url: r.url || null, content: r.content, score: 1, pinned: true
+  }));
+}
+
+export function formatExcerpts(hits = []) {
+  if (!hits.length) return "";
+  const body = hits.map((h, i) => `[${i + 1}] ${h.title || h.file} (${h.id})\n${String(h.content || "").trim()}`).join("\n\n");
+  return `CONTEXT EXCERPTS:\n${body}\n---`;
+}
+
+// Client-facing summary (no chunk text, no vectors).
+export const sourceSummary = (hits = []) => hits.map(({ id, file, title, url, score, pinned }) => ({ id, file, title, url, score, pinned: !!pinned }));
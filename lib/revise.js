@@ -0,0 +1,145 @@
+// lib/revise.js
+// Rewrites one highlighted passage of a reply. The UI sends the selection as
+// rendered text; we find it in the Markdown source, ask the model for a
+// replacement with the whole draft as context, and answer with a patch
+// { start, end, before, after } the client splices in place (and can undo).
+
+import { registerMockStage } from "./providers.js";
+
+export const REVISE_ACTIONS = {
+  shorten: "Make this passage noticeably shorter. Keep the key point and the voice.",
+  expand:  "Expand this passage with more detail and explanation. Roughly double its length at most.",
+  formal:  "Rewrite this passage in a more formal, professional register.",
+  example: "Keep this passage and add one short, concrete example that illustrates it."
+};
+const MAX_INSTRUCTION = 500;
+const MAX_SELECTION = 6000;
+
+const reviseError = (message, status = 422) => Object.assign(new Error(message), { status });
+
+/* ---------------- Locating the selection ---------------- */
+// Plain-text view of the Markdown with a map back to source offsets:
+// emphasis/code/heading/quote markers and link targets are dropped and
+// whitespace runs collapse to one space, roughly what the browser renders.
+function project(md) {
+  let plain = "";
+  const map = [];
+  let space = false;
+  for (let i = 0; i < md.length; i++) {
+    if (i === 0 || md[i - 1] === "\n") {             // list markers: "- ", "* ", "1. "
+      const marker = md.slice(i).match(/^[ \t]*(?:[-*+]|\d+[.)])[ \t]+/);
+      if (marker) { i += marker[0].length - 1; space = true; continue; }
+    }
+    const c = md[i];
+    if (c === "]" && md[i + 1] === "(") {            // [text](url) → text
+      const close = md.indexOf(")", i + 2);
+      if (close > 0) { i = close; continue; }
+    }
+    if ("*_`#>[]".includes(c)) continue;
+    if (/\s/.test(c)) { space = true; continue; }
+    if (space && plain) { plain += " "; map.push(i); }
+    space = false;
+    plain += c;
+    map.push(i);
+  }
+  return { plain, map };
+}
+
+const squash = (s) => project(String(s)).plain;
+
+// `occurrence` (0-based) picks between identical passages, counted the same
+// way the client counts them in the rendered bubble.
+export function locateSelection(draft, selection, { occurrence = 0 } = {}) {
+  const needle = squash(selection);
+  if (!needle) throw reviseError("Select some text in the reply first.", 400);
+  if (needle.length > MAX_SELECTION) throw reviseError("The selection is too long to revise in one go.", 413);
+
+  const { plain, map } = project(draft);
+  const hits = [];
+  for (let at = plain.indexOf(needle); at >= 0; at = plain.indexOf(needle, at + 1)) hits.push(at);
+  if (!hits.length) throw reviseError("Couldn't find the selected text in the draft. Try a smaller selection.");
+
+  const at = hits[Math.min(Math.max(0, Number(occurrence) || 0), hits.length - 1)];
+  return widenToMarkup(draft, map[at], map[at + needle.length - 1] + 1);
+}
+
+const count = (s, token) => s.split(token).length - 1;
+
+// Pull adjacent emphasis markers, half-selected bold/code spans and links
+// into the span so the replacement can't leave a dangling `**` or `](url)`.
+function widenToMarkup(draft, start, end) {
+  while (start > 0 && "*_`".includes(draft[start - 1])) start--;
+  while (end < draft.length && "*_`".includes(draft[end])) end++;
+  const paraStart = draft.lastIndexOf("\n\n", start) + 1;
+  const paraEnd = draft.indexOf("\n\n", end) < 0 ? draft.length : draft.indexOf("\n\n", end);
+  for (const token of ["**", "__", "`"]) {
+    if (count(draft.slice(paraStart, start), token) % 2) start = draft.lastIndexOf(token, start - 1);
+    if (count(draft.slice(end, paraEnd), token) % 2) end = draft.indexOf(token, end) + token.length;
+  }
+  let span = draft.slice(start, end);
+  if (span.lastIndexOf("](") > span.lastIndexOf("[")) {
+    const open = draft.lastIndexOf("[", start);
+    if (open >= 0) start = open;
+  }
+  span = draft.slice(start, end);
+  if (span.lastIndexOf("[") > span.lastIndexOf("](")) {
+    const close = draft.indexOf(")", draft.indexOf("](", end));
+    if (draft.indexOf("](", end) >= 0 && close > 0) end = close + 1;
+  }
+  return { start, end, before: draft.slice(start, end) };
+}
+
+/* ---------------- Prompt ---------------- */
+export function resolveInstruction({ action, instruction } = {}) {
+  const custom = String(instruction || "").trim().slice(0, MAX_INSTRUCTION);
+  if (action && action !== "custom") {
+    if (!REVISE_ACTIONS[action]) throw reviseError(`Unknown action. Use one of: ${[...Object.keys(REVISE_ACTIONS), "custom"].join(", ")}.`, 400);
+    return REVISE_ACTIONS[action] + (custom ? ` Also: ${custom}` : "");
+  }
+  if (!custom) throw reviseError("Missing 'instruction'.", 400);
+  return custom;
+}
+
+export function reviseRequest(draft, passage, instruction) {
+  return [
+    "TASK: revise",
+    "FULL DRAFT (context only — do not rewrite it):",
+    "<<<DRAFT",
+    String(draft).trim(),
+    "DRAFT>>>",
+    "",
+    "PASSAGE TO REWRITE:",
+    "<<<PASSAGE",
+    passage,
+    "PASSAGE>>>",
+    "",
+    `INSTRUCTION: ${instruction}`,
+    "",
+    "Return only the replacement for the passage, in Markdown, so it can be pasted back in place.",
+    "Keep the surrounding formatting (list item, heading level, emphasis) and flow into the text around it.",
+    "No preamble, no quotes, no code fences."
+  ].join("\n");
+}
+
+// Strips the fences/markers models sometimes wrap the answer in.
+export function cleanRevision(text) {
+  const out = String(text || "").trim()
+    .replace(/^```[\w-]*\n([\s\S]*?)\n```$/, "$1")
+    .replace(/^<<<PASSAGE\n?|\n?PASSAGE>>>$/g, "")
+    .trim();
+  if (!out) throw reviseError("The model returned an empty revision.", 502);
+  return out;
+}
+
+export const applyPatch = (draft, { start, end, after }) => draft.slice(0, start) + after + draft.slice(end);
+
+/* ---------------- Demo-mode answer ---------------- */
+registerMockStage("revise", (prompt) => {
+  const passage = prompt.match(/<<<PASSAGE\n([\s\S]*?)\nPASSAGE>>>/)?.[1] || "";
+  const how = prompt.match(/^INSTRUCTION: (.+)$/m)?.[1] || "";
+  if (/shorter/i.test(how)) return passage.split(/\s+/).slice(0, Math.max(3, Math.ceil(passage.split(/\s+/).length / 2))).join(" ");
+  if (/expand/i.test(how)) return `${passage} In practice, that means picking one habit and tracking it for a week.`;
+  if (/formal/i.test(how)) return passage.replace(/\bdon't\b/gi, "do not").replace(/\bit's\b/gi, "it is").replace(/\bcan't\b/gi, "cannot");
+  if (/example/i.test(how)) return `${passage} For example, a team might review one metric every Friday.`;
+  return `${passage} (revised: ${how})`;
+});
@@ -0,0 +1,120 @@
+// lib/search.js
+// "Have we already written about X?" — ranks index records by embedding
+// similarity, optionally blended with BM25 keyword scores, grouped by file
+// with highlighted snippets.
+
+import { cosineSimilarity } from "./retrieval.js";
+import { tokenizeWords } from "./embeddings.js";
+
+/* ---------------- BM25 ---------------- */
+const K1 = 1.2;
+const B  = 0.75;
+
+// Built once per loaded index object (the retrieval cache hands back the
+// same object until data/index.json changes).
+const bm25Cache = new WeakMap();
+function bm25Index(index) {
+  let hit = bm25Cache.get(index);
+  if (hit) return hit;
+  const docs = index.records.map(r => {
+    const tf = new Map();
+    const words = tokenizeWords(r.content);
+    for (const w of words) tf.set(w, (tf.get(w) || 0) + 1);
+    return { tf, len: words.length };
+  });
+  const df = new Map();
+  for (const d of docs) for (const w of d.tf.keys()) df.set(w, (df.get(w) || 0) + 1);
+  const avgLen = docs.reduce((s, d) => s + d.len, 0) / (docs.length || 1);
+  hit = { docs, df, avgLen, n: docs.length };
+  bm25Cache.set(index, hit);
+  return hit;
+}
+
+export function bm25Scores(index, query) {
+  const { docs, df, avgLen, n } = bm25Index(index);
+  const terms = [...new Set(tokenizeWords(query))];
+  return docs.map(d => {
+    let score = 0;
+    for (const t of terms) {
+      const f = d.tf.get(t);
+      if (!f) continue;
+      const idf = Math.log(1 + (n - df.get(t) + 0.5) / (df.get(t) + 0.5));
+      score += idf * (f * (K1 + 1)) / (f + K1 * (1 - B + B * d.len / (avgLen || 1)));
+    }
+    return score;
+  });
+}
+
+/* ---------------- Snippets ---------------- */
+const escapeHtml = (s = "") => String(s).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+const escapeRe = (s = "") => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// ~`width` chars around the first query-term hit; `highlighted` is HTML-safe with <mark>.
+export function makeSnippet(content = "", query = "", width = 240) {
+  const text = String(content).replace(/\s+/g, " ").trim();
+  const terms = [...new Set(tokenizeWords(query))].filter(t => t.length > 2);
+  const re = terms.length ? new RegExp(`\\b(${terms.map(escapeRe).join("|")})\\b`, "gi") : null;
+
+  let start = 0;
+  const first = re ? text.search(re) : -1;
+  if (first > width / 3) start = text.lastIndexOf(" ", first - Math.floor(width / 3)) + 1;
+  let snippet = text.slice(start, start + width);
+  if (start + width < text.length) snippet = snippet.replace(/\s\S*$/, "") + "…";
+  if (start > 0) snippet = "…" + snippet;
+
+  const highlighted = re
+    ? snippet.split(re).map((part, i) => i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)).join("")
+    : escapeHtml(snippet);
+  return { snippet, highlighted };
+}
+
+/* ---------------- Search ---------------- */
+// mode: "semantic" | "hybrid" | "keyword". `alpha` weights semantic vs BM25 in hybrid.
+export async function searchIndex(index, query, { embedder, mode = "hybrid", alpha = 0.6, k = 10, perFile = 3 } = {}) {
+  const q = String(query || "").trim();
+  if (!q || !index?.records?.length) return { mode, groups: [] };
+
+  let cos = null;
+  if (mode !== "keyword") {
+    if (index.model && embedder.model && index.model !== embedder.model) {
+      throw new Error(`Index was built with '${index.model}' but the embedder is '${embedder.model}'. Rebuild the index.`);
+    }
+    const [vec] = await embedder.embed([q]);
+    cos = index.records.map(r => cosineSimilarity(vec, r.embedding));
+  }
+  let kw = null;
+  if (mode !== "semantic") {
+    const raw = bm25Scores(index, q);
+    const max = Math.max(0, ...raw);
+    kw = raw.map(s => (max ? s / max : 0));
+  }
+
+  const scored = index.records.map((r, i) => {
+    const semantic = cos ? cos[i] : null;
+    const keyword  = kw ? kw[i] : null;
+    const score = mode === "semantic" ? semantic : mode === "keyword" ? keyword : alpha * semantic + (1 - alpha) * keyword;
+    return { record: r, score, semantic, keyword };
+  }).filter(h => h.score > 0).sort((a, b) => b.score - a.score);
+
+  const groups = new Map();
+  for (const h of scored) {
+    const file = h.record.file;
+    if (!groups.has(file)) {
+      if (groups.size >= k) continue;
+      groups.set(file, { file, title: h.record.title, url: h.record.url || null, score: h.score, chunks: [] });
+    }
+    const g = groups.get(file);
+    if (g.chunks.length >= perFile) continue;
+    g.chunks.push({
+      id: h.record.id,
+      score: Number(h.score.toFixed(4)),
+      semantic: h.semantic == null ? null : Number(h.semantic.toFixed(4)),
+      keyword: h.keyword == null ? null : Number(h.keyword.toFixed(4)),
+      ...makeSnippet(h.record.content, q)
+    });
+  }
+  return {
+    mode,
+    groups: [...groups.values()].map(g => ({ ...g, score: Number(g.score.toFixed(4)) }))
+  };
+}
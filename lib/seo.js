@@ -0,0 +1,260 @@
+// lib/seo.js
+// On-page SEO for a finished Markdown draft: keyword density and placement,
+// heading hierarchy, reading time and title/meta lengths, internal-link
+// suggestions from data/index.json, and the slug / meta description / Open
+// Graph fields that travel with the post into exports.
+
+import { Lexer } from "marked";
+import { tokenizeWords } from "./embeddings.js";
+import { searchIndex } from "./search.js";
+import { registerMockStage } from "./providers.js";
+
+export const SEO_LIMITS = {
+  title: [30, 60],
+  meta: [120, 160],
+  density: [0.5, 2.5],   // % of words that belong to a keyword occurrence
+  slugChars: 60,
+  wordsPerMinute: 230
+};
+const PENALTY = { error: 8, warning: 4, info: 1 };
+const STOPWORDS = new Set("a an and are as at be by for from how in is it of on or that the this to what why with your you".split(" "));
+
+const plain = (md = "") => String(md)
+  .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+  .replace(/[*_`#>]/g, "")
+  .replace(/\s+/g, " ")
+  .trim();
+
+// Plural/possessive-insensitive, so "weekly reviews" counts for "weekly review".
+const stem = (w) => w.length > 3 ? w.replace(/(?:'s|s)$/, "") : w;
+
+// Occurrences of the keyword's words, in order, inside `words`.
+function phraseCount(words, phrase) {
+  if (!phrase.length) return 0;
+  const ws = words.map(stem);
+  const ps = phrase.map(stem);
+  let n = 0;
+  for (let i = 0; i + ps.length <= ws.length; i++) {
+    if (ps.every((w, j) => ws[i + j] === w)) { n++; i += ps.length - 1; }
+  }
+  return n;
+}
+const hasPhrase = (text, phrase) => phraseCount(tokenizeWords(text), phrase) > 0;
+
+// Headings and prose blocks (code and HTML skipped).
+function outlineOf(md) {
+  const headings = [];
+  const paragraphs = [];
+  for (const tok of new Lexer().lex(md)) {
+    if (tok.type === "heading") headings.push({ depth: tok.depth, text: plain(tok.text) });
+    else if (tok.type === "paragraph" || tok.type === "blockquote") paragraphs.push(plain(tok.text));
+    else if (tok.type === "list") paragraphs.push(...tok.items.map(i => plain(i.text)));
+  }
+  return { headings, paragraphs: paragraphs.filter(Boolean) };
+}
+
+export function slugify(text = "", { max = SEO_LIMITS.slugChars } = {}) {
+  const words = String(text).normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase().match(/[a-z0-9]+/g) || [];
+  const kept = words.filter(w => !STOPWORDS.has(w));
+  let slug = "";
+  for (const w of kept.length >= 3 ? kept : words) {
+    if (slug && slug.length + w.length + 1 > max) break;
+    slug = slug ? `${slug}-${w}` : w.slice(0, max);
+  }
+  return slug;
+}
+
+/* ---------------- Analysis ---------------- */
+// meta: { title, metaDescription, slug } — title falls back to the draft's H1.
+export function analyzeSeo(markdown = "", { keyword = "", title = "", metaDescription = "", slug = "" } = {}) {
+  const md = String(markdown).replace(/\r\n?/g, "\n");
+  const { headings, paragraphs } = outlineOf(md);
+  const words = tokenizeWords(plain(md.replace(/```[\s\S]*?(?:```|$)/g, " ")));
+  const kw = tokenizeWords(keyword);
+  const h1s = headings.filter(h => h.depth === 1);
+  const h2s = headings.filter(h => h.depth === 2);
+  const pageTitle = String(title || h1s[0]?.text || "").trim();
+  const issues = [];
+  const issue = (rule, severity, message) => issues.push({ rule, severity, message });
+
+  // Keyword
+  const count = phraseCount(words, kw);
+  const density = words.length && kw.length ? Number(((count * kw.length / words.length) * 100).toFixed(2)) : 0;
+  const placement = {
+    title: kw.length ? hasPhrase(pageTitle, kw) : null,
+    firstParagraph: kw.length ? hasPhrase(paragraphs[0] || "", kw) : null,
+    h2: { total: h2s.length, withKeyword: kw.length ? h2s.filter(h => hasPhrase(h.text, kw)).length : 0 },
+    metaDescription: kw.length && metaDescription ? hasPhrase(metaDescription, kw) : null,
+    slug: kw.length && slug ? kw.every(w => String(slug).split("-").map(stem).includes(stem(w))) : null
+  };
+  if (!kw.length) issue("keyword", "info", "Add a target keyword to check density and placement.");
+  else {
+    const [lo, hi] = SEO_LIMITS.density;
+    if (!count) issue("keyword", "error", `“${keyword}” never appears in the draft.`);
+    else if (density < lo) issue("keyword", "warning", `Keyword density is ${density}% (aim for ${lo}–${hi}%).`);
+    else if (density > hi) issue("keyword", "warning", `Keyword density is ${density}% — above ${hi}% reads as stuffing.`);
+    if (!placement.title) issue("placement", "warning", "The title doesn't contain the keyword.");
+    if (!placement.firstParagraph) issue("placement", "warning", "The first paragraph doesn't mention the keyword.");
+    if (h2s.length && !placement.h2.withKeyword) issue("placement", "info", "No H2 mentions the keyword or a close variant.");
+    if (placement.metaDescription === false) issue("placement", "info", "The meta description doesn't contain the keyword.");
+    if (placement.slug === false) issue("placement", "info", "The slug doesn't contain the keyword.");
+  }
+
+  // Heading hierarchy
+  if (!h1s.length) issue("headings", "warning", "No H1 title.");
+  if (h1s.length > 1) issue("headings", "warning", `${h1s.length} H1 headings — keep one title and use H2 for sections.`);
+  if (!h2s.length && words.length >= 300) issue("headings", "warning", "No H2 sections; long posts need scannable sections.");
+  headings.forEach((h, i) => {
+    const prev = headings[i - 1];
+    if (prev && h.depth > prev.depth + 1) issue("headings", "warning", `“${h.text}” jumps from H${prev.depth} to H${h.depth}.`);
+    if (!h.text) issue("headings", "warning", "Empty heading.");
+  });
+  const seen = new Set();
+  for (const h of headings) {
+    const key = h.text.toLowerCase();
+    if (key && seen.has(key)) issue("headings", "info", `Duplicate heading “${h.text}”.`);
+    seen.add(key);
+  }
+
+  // Lengths
+  const lengths = {
+    title: { chars: pageTitle.length, range: SEO_LIMITS.title },
+    metaDescription: { chars: String(metaDescription || "").trim().length, range: SEO_LIMITS.meta }
+  };
+  const [tlo, thi] = SEO_LIMITS.title;
+  if (!pageTitle) issue("title", "error", "Missing title.");
+  else if (pageTitle.length > thi) issue("title", "warning", `Title is ${pageTitle.length} characters; search results cut off after ~${thi}.`);
+  else if (pageTitle.length < tlo) issue("title", "info", `Title is only ${pageTitle.length} characters (aim for ${tlo}–${thi}).`);
+  const [mlo, mhi] = SEO_LIMITS.meta;
+  const metaLen = lengths.metaDescription.chars;
+  if (!metaLen) issue("meta", "info", "No meta description yet — generate one.");
+  else if (metaLen > mhi) issue("meta", "warning", `Meta description is ${metaLen} characters; it will be truncated after ~${mhi}.`);
+  else if (metaLen < mlo) issue("meta", "info", `Meta description is only ${metaLen} characters (aim for ${mlo}–${mhi}).`);
+
+  const score = Math.max(0, 100 - issues.reduce((n, i) => n + PENALTY[i.severity], 0));
+  return {
+    score,
+    keyword: { phrase: String(keyword || "").trim(), count, density, placement },
+    headings: headings.map(({ depth, text }) => ({ depth, text })),
+    readingTime: { words: words.length, minutes: Math.max(1, Math.round(words.length / SEO_LIMITS.wordsPerMinute)) },
+    lengths,
+    issues
+  };
+}
+
+/* ---------------- Internal links ---------------- */
+// Longest run of the target's title words that also appears in the draft,
+// quoted from the draft — a natural anchor text for the link.
+function anchorFor(draftText, title) {
+  const words = String(title || "").match(/[\p{L}\p{N}'’]+/gu) || [];
+  for (let len = Math.min(words.length, 6); len >= 1; len--) {
+    for (let i = 0; i + len <= words.length; i++) {
+      const run = words.slice(i, i + len);
+      if (len === 1 && (STOPWORDS.has(run[0].toLowerCase()) || run[0].length < 4)) continue;
+      const re = new RegExp(`\\b${run.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("\\W+")}\\b`, "iu");
+      const m = draftText.match(re);
+      if (m) return m[0];
+    }
+  }
+  return null;
+}
+
+// Indexed posts worth linking to, skipping any the draft already links.
+// Semantic + keyword when the embedder matches the index, keywords otherwise.
+export async function linkSuggestions(index, markdown = "", { keyword = "", embedder, k = 5 } = {}) {
+  if (!index?.records?.length) return { suggestions: [], mode: null };
+  const md = String(markdown);
+  const { headings } = outlineOf(md);
+  const query = [keyword, ...headings.map(h => h.text)].filter(Boolean).join(" ") || plain(md).slice(0, 500);
+  let out;
+  try { out = await searchIndex(index, query, { embedder, mode: embedder ? "hybrid" : "keyword", k: k * 2, perFile: 1 }); }
+  catch { out = await searchIndex(index, query, { mode: "keyword", k: k * 2, perFile: 1 }); }
+
+  const linked = new Set([...md.matchAll(/\]\(([^)\s]+)/g)].map(m => m[1]));
+  const text = plain(md);
+  const suggestions = out.groups
+    .filter(g => !(g.url && linked.has(g.url)))
+    .slice(0, k)
+    .map(g => ({ file: g.file, title: g.title || g.file, url: g.url, id: g.chunks[0]?.id, score: g.score, anchor: anchorFor(text, g.title) || null, snippet: g.chunks[0]?.snippet || "" }));
+  return { suggestions, mode: out.mode };
+}
+
+/* ---------------- Metadata ---------------- */
+const clip = (s, max) => {
+  const t = String(s ?? "").replace(/\s+/g, " ").trim();
+  if (t.length <= max) return t;
+  const cut = t.slice(0, max + 1);
+  const sentence = cut.lastIndexOf(". ");
+  return sentence >= max * 0.6 ? cut.slice(0, sentence + 1) : cut.slice(0, cut.lastIndexOf(" ")).replace(/[,;:\-–—]+$/, "");
+};
+
+// Missing fields come from `fallback` (see defaultSeoMeta); slugs are re-slugified.
+export function normalizeSeoMeta(data = {}, fallback = {}) {
+  const pick = (k) => (typeof data?.[k] === "string" && data[k].trim() ? data[k] : fallback[k]) || "";
+  const title = clip(pick("title"), 70);
+  const metaDescription = clip(pick("metaDescription"), SEO_LIMITS.meta[1]);
+  const og = data?.og && typeof data.og === "object" ? data.og : {};
+  return {
+    keyword: String(data?.keyword ?? fallback.keyword ?? "").replace(/\s+/g, " ").trim().slice(0, 80),
+    title,
+    slug: slugify(pick("slug") || title),
+    metaDescription,
+    og: {
+      title: clip(og.title || data?.ogTitle || fallback.og?.title || title, 90),
+      description: clip(og.description || data?.ogDescription || fallback.og?.description || metaDescription, 200),
+      type: "article"
+    }
+  };
+}
+
+// Deterministic fields from the draft itself: H1, first paragraph.
+export function defaultSeoMeta(markdown = "", { keyword = "", title = "" } = {}) {
+  const { headings, paragraphs } = outlineOf(String(markdown));
+  const t = title || headings.find(h => h.depth === 1)?.text || headings[0]?.text || "";
+  return normalizeSeoMeta({}, { keyword, title: t, metaDescription: paragraphs[0] || "" });
+}
+
+export function seoMetaRequest(draft, { keyword = "" } = {}) {
+  const [tlo, thi] = SEO_LIMITS.title;
+  const [mlo, mhi] = SEO_LIMITS.meta;
+  return [
+    "TASK: seo-meta",
+    ...(keyword ? [`TARGET KEYWORD: ${keyword}`] : []),
+    "Write search and social metadata for the blog post below.",
+    "",
+    "<<<DRAFT",
+    String(draft).trim(),
+    "DRAFT>>>",
+    "",
+    "Respond with JSON only — no prose, no code fences — in exactly this shape:",
+    '{"title": "SEO title", "metaDescription": "…", "slug": "url-slug", "og": {"title": "Social title", "description": "Social description"}}',
+    "",
+    `Title: ${tlo}–${thi} characters. Meta description: ${mlo}–${mhi} characters, a clear benefit and a reason to click.`,
+    `Slug: lowercase words joined by hyphens, at most ${SEO_LIMITS.slugChars} characters.${keyword ? " Work the keyword into the title, description and slug naturally." : ""}`
+  ].join("\n");
+}
+
+// Tolerates code fences / chatter around the JSON; null when there's none.
+export function parseSeoMeta(text = "", fallback = {}) {
+  const s = String(text);
+  const start = s.indexOf("{");
+  const end = s.lastIndexOf("}");
+  if (start < 0 || end <= start) return null;
+  try { return normalizeSeoMeta(JSON.parse(s.slice(start, end + 1)), fallback); }
+  catch { return null; }
+}
+
+/* ---------------- Demo-mode answer ---------------- */
+registerMockStage("seo-meta", (prompt, { topic }) => {
+  const draft = prompt.match(/<<<DRAFT\n([\s\S]*?)\nDRAFT>>>/)?.[1] || "";
+  const keyword = prompt.match(/^TARGET KEYWORD: (.+)$/m)?.[1] || "";
+  const title = (draft.match(/^#\s+(.+)$/m)?.[1] || topic).trim();
+  const description = `A practical guide to ${(keyword || title).toLowerCase()}: what to do first, how to measure it, and how to keep going week after week.`;
+  const keywordTitle = keyword.replace(/\w\S*/g, w => w[0].toUpperCase() + w.slice(1));
+  return JSON.stringify({
+    title: keyword && !title.toLowerCase().includes(keyword.toLowerCase()) ? `${title}: ${keywordTitle}` : title,
+    metaDescription: description,
+    slug: (keyword || title).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, ""),
+    og: { title, description }
+  });
+});
@@ -0,0 +1,152 @@
+// lib/sessions.js
+// Durable chat sessions, one JSON file per session under data/sessions.
+// All access is synchronous read-modify-write, so appends from concurrent
+// requests in this process can't interleave.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const ID_RE = /^[a-f0-9-]{8,64}$/i;
+const MAX_MESSAGES = 2000;
+const MAX_VERSIONS = 50;
+export const VERSION_SOURCES = ["generate", "regenerate", "revise", "edit", "lint"];
+
+export function createSessionStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const fileFor = (id) => {
+    if (!ID_RE.test(String(id || ""))) throw new Error("Invalid session id");
+    return path.join(dir, `${id}.json`);
+  };
+  const read = (id) => {
+    const file = fileFor(id);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  };
+  const write = (session) => {
+    const file = fileFor(session.id);
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(session, null, 2), "utf8");
+    fs.renameSync(tmp, file);
+    return session;
+  };
+  // Ids are always minted here: a client-chosen one could collide with another
+  // message and send version/edit/SEO lookups to the wrong reply.
+  const toMessage = (m = {}) => {
+    const role = m.role === "user" ? "user" : "assistant";
+    const text = String(m.text ?? m.content ?? "");
+    const msg = { id: crypto.randomUUID(), role, text, at: m.at || new Date().toISOString() };
+    if (m.meta && typeof m.meta === "object") msg.meta = m.meta;
+    return msg;
+  };
+  // Assistant replies keep every draft in `versions`; `text` is always the
+  // chosen one (`version`), so exports and history need no special casing.
+  // Seeded lazily from the original text the first time a reply changes.
+  const ensureVersions = (m) => {
+    if (!Array.isArray(m.versions) || !m.versions.length) {
+      m.versions = [{ id: crypto.randomUUID(), text: m.text, source: "generate", at: m.at }];
+      m.version = m.versions[0].id;
+    }
+    return m.versions;
+  };
+  const summary = (s) => {
+    const firstUser = s.messages.find(m => m.role === "user")?.text || "";
+    return {
+      id: s.id,
+      title: s.title,
+      createdAt: s.createdAt,
+      updatedAt: s.updatedAt,
+      count: s.messages.length,
+      preview: firstUser.split("\n").find(Boolean)?.slice(0, 120) || ""
+    };
+  };
+
+  return {
+    create({ title = "Untitled Session", messages = [] } = {}) {
+      const now = new Date().toISOString();
+      return write({
+        id: crypto.randomUUID(),
+        title: String(title || "Untitled Session").slice(0, 120),
+        createdAt: now,
+        updatedAt: now,
+        messages: (Array.isArray(messages) ? messages : []).slice(0, MAX_MESSAGES).map(toMessage)
+      });
+    },
+
+    get: read,
+
+    list() {
+      return fs.readdirSync(dir)
+        .filter(f => f.endsWith(".json"))
+        .map(f => { try { return summary(JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"))); } catch { return null; } })
+        .filter(Boolean)
+        .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+    },
+
+    // Appends one or more messages; returns the stored messages (with ids).
+    append(id, messages = []) {
+      const s = read(id);
+      if (!s) return null;
+      const added = (Array.isArray(messages) ? messages : [messages]).map(toMessage);
+      if (s.messages.length + added.length > MAX_MESSAGES) throw new Error("session too large");
+      s.messages.push(...added);
+      s.updatedAt = new Date().toISOString();
+      write(s);
+      return added;
+    },
+
+    update(id, fn) {
+      const s = read(id);
+      if (!s) return null;
+      fn(s);
+      s.updatedAt = new Date().toISOString();
+      return write(s);
+    },
+
+    // Adds a draft to a reply and makes it the chosen one; returns the message.
+    addVersion(id, messageId, { text, source = "edit", meta } = {}) {
+      let found = null;
+      const s = this.update(id, s => {
+        found = s.messages.find(m => m.id === messageId && m.role === "assistant") || null;
+        if (!found) return;
+        const versions = ensureVersions(found);
+        const v = { id: crypto.randomUUID(), text: String(text ?? ""), source: VERSION_SOURCES.includes(source) ? source : "edit", at: new Date().toISOString() };
+        if (meta && typeof meta === "object") v.meta = meta;
+        versions.push(v);
+        // Oldest drafts go first, never the one being chosen
+        while (versions.length > MAX_VERSIONS) versions.splice(versions.findIndex(x => x.id !== v.id), 1);
+        found.version = v.id;
+        found.text = v.text;
+      });
+      return s ? found : null;
+    },
+
+    // Switches a reply to one of its stored drafts; null when either id is unknown.
+    selectVersion(id, messageId, versionId) {
+      let found = null;
+      const s = this.update(id, s => {
+        const m = s.messages.find(x => x.id === messageId);
+        const v = m && Array.isArray(m.versions) ? m.versions.find(x => x.id === versionId) : null;
+        if (!v) return;
+        m.version = v.id;
+        m.text = v.text;
+        found = m;
+      });
+      return s ? found : null;
+    },
+
+    rename(id, title) {
+      return this.update(id, s => { s.title = String(title || "Untitled Session").slice(0, 120); });
+    },
+
+    remove(id) {
+      const file = fileFor(id);
+      if (!fs.existsSync(file)) return false;
+      fs.unlinkSync(file);
+      return true;
+    },
+
+    summary
+  };
+}
@@ -0,0 +1,87 @@
+// lib/sources.js
+// File-backed source library (data/sources). Documents are Markdown/text with
+// optional front-matter: title, url, date, tags.
+
+import fs from "fs";
+import path from "path";
+import { parseFrontMatter, stringifyFrontMatter } from "./frontmatter.js";
+import { SOURCE_EXT_RE, hashContent, readSourceMeta } from "./indexer.js";
+
+const slugify = (s = "") =>
+  String(s).toLowerCase().normalize("NFKD").replace(/[^\w\s-]/g, "").trim().replace(/[\s_]+/g, "-").replace(/-+/g, "-").slice(0, 60);
+
+export function sourcePath(dir, file) {
+  const base = String(file || "");
+  if (!SOURCE_EXT_RE.test(base) || base.includes("/") || base.includes("\\") || base.startsWith(".")) {
+    throw new Error("Invalid source filename");
+  }
+  const p = path.join(dir, base);
+  const rel = path.relative(dir, p);
+  if (rel.startsWith("..") || path.isAbsolute(rel)) throw new Error("Unsafe path");
+  return p;
+}
+
+// `<slug>.md`, suffixed -2, -3… when taken.
+export function uniqueSourceName(dir, title) {
+  const slug = slugify(title) || "post";
+  let name = `${slug}.md`;
+  for (let i = 2; fs.existsSync(path.join(dir, name)); i++) name = `${slug}-${i}.md`;
+  return name;
+}
+
+function describe(dir, file, indexFiles = {}) {
+  const full = path.join(dir, file);
+  const text = fs.readFileSync(full, "utf8");
+  const st = fs.statSync(full);
+  const { title, url, date, tags, body } = readSourceMeta(text, file);
+  const indexed = indexFiles[file];
+  return {
+    file, title, url, date, tags,
+    size: st.size,
+    mtime: st.mtime,
+    words: (body.match(/\S+/g) || []).length,
+    indexed: indexed ? { chunks: indexed.chunks, at: indexed.indexedAt || null, stale: indexed.hash ? indexed.hash !== hashContent(text) : null } : null
+  };
+}
+
+export function listSourceDocs(dir, indexFiles = {}) {
+  let files = [];
+  try { files = fs.readdirSync(dir).filter(f => SOURCE_EXT_RE.test(f)); } catch { return []; }
+  return files.map(f => describe(dir, f, indexFiles)).sort((a, b) => b.mtime - a.mtime);
+}
+
+export function readSourceDoc(dir, file, indexFiles = {}) {
+  const full = sourcePath(dir, file);
+  if (!fs.existsSync(full)) return null;
+  const { body } = parseFrontMatter(fs.readFileSync(full, "utf8"));
+  return { ...describe(dir, file, indexFiles), content: body.replace(/^\s*\n/, "") };
+}
+
+function normalizeTags(tags) {
+  if (Array.isArray(tags)) return tags.map(t => String(t).trim()).filter(Boolean);
+  if (typeof tags === "string") return tags.split(",").map(t => t.trim()).filter(Boolean);
+  return [];
+}
+
+// Writes front-matter + body. Unknown front-matter keys already in the file are kept.
+export function writeSourceDoc(dir, file, { title, url, date, tags, content } = {}) {
+  const full = sourcePath(dir, file);
+  const existing = fs.existsSync(full) ? parseFrontMatter(fs.readFileSync(full, "utf8")) : { data: {}, body: "" };
+  const data = { ...existing.data };
+  if (title !== undefined) data.title = String(title || "").trim();
+  if (url   !== undefined) data.url   = String(url || "").trim();
+  if (date  !== undefined) data.date  = String(date || "").trim();
+  if (tags  !== undefined) data.tags  = normalizeTags(tags);
+  if (Array.isArray(data.tags) && !data.tags.length) delete data.tags;
+  const body = content !== undefined ? String(content) : existing.body;
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(full, stringifyFrontMatter(data, body).replace(/\s*$/, "\n"), "utf8");
+  return file;
+}
+
+export function deleteSourceDoc(dir, file) {
+  const full = sourcePath(dir, file);
+  if (!fs.existsSync(full)) return false;
+  fs.unlinkSync(full);
+  return true;
+}
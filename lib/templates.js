@@ -0,0 +1,190 @@
+// lib/templates.js
+// Prompt templates behind the slash menu, shared by everyone on the server
+// and kept in one JSON file (data/templates.json). Until the file exists the
+// built-in set below is served; the first edit writes it out.
+//
+//   { id: "tweet",                       // the slash command: /tweet
+//     name, description,
+//     body: "Turn {{topic}} into a {{posts}}-post thread for {{audience}}.",
+//     variables: [{ name, label, default }],   // a variable with no default is required
+//     defaults: { tone, length, persona } }    // applied to the controls when used
+//
+// Placeholders in the body that aren't declared become required variables.
+
+import fs from "fs";
+
+const ID_RE = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const VAR_RE = /\{\{\s*([a-zA-Z_]\w{0,39})\s*\}\}/g;
+const MAX_TEMPLATES = 200;
+const MAX_BODY = 8000;
+
+export const BUILTIN_TEMPLATES = [
+  {
+    id: "outline", name: "Outline",
+    description: "Blog post outline with H1/H2, bullets and a closing CTA.",
+    body: "Create a blog post outline about {{topic}} for {{audience}}, with H1/H2, bullet points, and a crisp CTA at the end.",
+    variables: [{ name: "topic", label: "Topic" }, { name: "audience", label: "Audience", default: "my readers" }]
+  },
+  {
+    id: "seo", name: "SEO brief",
+    description: "Keywords, intent, titles, meta description, H2s and internal links.",
+    body: "Draft an SEO brief for a post about {{topic}} targeting \"{{keyword}}\": search intent, related keywords, title ideas, meta description, H2s, and internal links.",
+    variables: [{ name: "topic", label: "Topic" }, { name: "keyword", label: "Target keyword" }]
+  },
+  {
+    id: "tweet", name: "Thread",
+    description: "Turn an idea into a thread with hooks and skimmable bullets.",
+    body: "Turn this idea into a {{posts}}-tweet thread for {{audience}} with hooks and skimmable bullets: {{topic}}",
+    variables: [{ name: "topic", label: "Idea" }, { name: "posts", label: "Tweets", default: "7" }, { name: "audience", label: "Audience", default: "my audience" }],
+    defaults: { length: "concise" }
+  },
+  {
+    id: "hooks", name: "Hooks",
+    description: "Punchy opening hooks tailored to your audience.",
+    body: "Give me {{count}} punchy opening hooks for a post about {{topic}}, tailored to {{audience}}.",
+    variables: [{ name: "topic", label: "Topic" }, { name: "count", label: "How many", default: "10" }, { name: "audience", label: "Audience", default: "my audience" }],
+    defaults: { length: "concise" }
+  },
+  {
+    id: "cta", name: "Calls to action",
+    description: "Natural, value-led call-to-action options.",
+    body: "Propose {{count}} call-to-action options for {{offer}} that feel natural and value-led.",
+    variables: [{ name: "offer", label: "What the reader should do", default: "this post" }, { name: "count", label: "How many", default: "5" }],
+    defaults: { length: "concise" }
+  }
+];
+
+const templateError = (message, status = 400) => Object.assign(new Error(message), { status });
+const clean = (v, max) => String(v ?? "").replace(/\s+/g, " ").trim().slice(0, max);
+
+export const placeholders = (body = "") => [...new Set([...String(body).matchAll(VAR_RE)].map(m => m[1]))];
+
+// Validates one template from a request or an import; `id` may come from the URL.
+export function normalizeTemplate(raw, { id = raw?.id } = {}) {
+  const tid = String(id || "").trim().toLowerCase().replace(/^\//, "");
+  if (!ID_RE.test(tid)) throw templateError("Template id must be 1–40 lowercase letters, digits or dashes (it becomes the /command).");
+  const body = String(raw?.body ?? "").trim();
+  if (!body) throw templateError(`Template '${tid}' needs a body.`);
+  if (body.length > MAX_BODY) throw templateError(`Template '${tid}' is longer than ${MAX_BODY} characters.`);
+
+  const used = placeholders(body);
+  const declared = (Array.isArray(raw?.variables) ? raw.variables : [])
+    .map(v => (typeof v === "string" ? { name: v } : v))
+    .filter(v => v && used.includes(String(v.name)));
+  const variables = used.map(name => {
+    const v = declared.find(d => String(d.name) === name) || {};
+    const out = { name, label: clean(v.label, 60) || name };
+    if (v.default != null && String(v.default).trim()) out.default = String(v.default).trim().slice(0, 500);
+    return out;
+  });
+
+  const defaults = {};
+  for (const key of ["tone", "length", "persona"]) {
+    const val = clean(raw?.defaults?.[key], 40);
+    if (val) defaults[key] = val;
+  }
+  return {
+    id: tid,
+    name: clean(raw?.name, 60) || tid,
+    description: clean(raw?.description, 200),
+    body,
+    variables,
+    defaults
+  };
+}
+
+// Fills the body; values fall back to each variable's default.
+export function renderTemplate(template, vars = {}) {
+  const values = {};
+  const missing = [];
+  for (const v of template.variables) {
+    const given = vars?.[v.name] != null ? String(vars[v.name]).trim() : "";
+    values[v.name] = given || v.default || "";
+    if (!values[v.name]) missing.push(v.label || v.name);
+  }
+  if (missing.length) throw templateError(`Fill in: ${missing.join(", ")}.`);
+  const text = template.body.replace(VAR_RE, (_, name) => values[name] ?? "");
+  return { text, vars: values };
+}
+
+export function createTemplateStore(file) {
+  const read = () => {
+    let raw;
+    try { raw = JSON.parse(fs.readFileSync(file, "utf8")); }
+    catch (e) {
+      if (e.code === "ENOENT") return BUILTIN_TEMPLATES.map(t => ({ ...normalizeTemplate(t), builtin: true }));
+      throw templateError(`${file} is not valid JSON.`, 500);
+    }
+    return (Array.isArray(raw?.templates) ? raw.templates : []).filter(t => ID_RE.test(t?.id || ""));
+  };
+  const write = (templates) => {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ templates }, null, 2), "utf8");
+    fs.renameSync(tmp, file);
+    return templates;
+  };
+  const stamp = (t, prev) => {
+    const now = new Date().toISOString();
+    return { ...t, createdAt: prev?.createdAt || now, updatedAt: now };
+  };
+
+  return {
+    list: () => read().sort((a, b) => a.id.localeCompare(b.id)),
+
+    get: (id) => read().find(t => t.id === String(id || "").toLowerCase()) || null,
+
+    create(raw) {
+      const all = read();
+      const t = normalizeTemplate(raw);
+      if (all.some(x => x.id === t.id)) throw templateError(`A template '/${t.id}' already exists.`, 409);
+      if (all.length >= MAX_TEMPLATES) throw templateError(`At most ${MAX_TEMPLATES} templates.`);
+      const saved = stamp(t);
+      write([...all.map(({ builtin, ...x }) => x), saved]);
+      return saved;
+    },
+
+    // Partial updates merge over the stored template; a new `id` renames it.
+    update(id, patch) {
+      const all = read();
+      const at = all.findIndex(t => t.id === String(id || "").toLowerCase());
+      if (at < 0) return null;
+      const { builtin, createdAt, updatedAt, ...prev } = all[at];
+      const t = normalizeTemplate({ ...prev, ...patch, defaults: { ...prev.defaults, ...(patch?.defaults || {}) } }, { id: patch?.id || prev.id });
+      if (t.id !== prev.id && all.some(x => x.id === t.id)) throw templateError(`A template '/${t.id}' already exists.`, 409);
+      all[at] = stamp(t, { createdAt });
+      write(all.map(({ builtin, ...x }) => x));
+      return all[at];
+    },
+
+    remove(id) {
+      const all = read();
+      const next = all.filter(t => t.id !== String(id || "").toLowerCase());
+      if (next.length === all.length) return false;
+      write(next.map(({ builtin, ...x }) => x));
+      return true;
+    },
+
+    // Imports merge by id (imported wins) unless `replace` drops everything else.
+    // Invalid entries are reported and skipped.
+    import(list, { replace = false } = {}) {
+      if (!Array.isArray(list)) throw templateError("Expected { templates: [...] }.");
+      const byId = new Map(replace ? [] : read().map(({ builtin, ...t }) => [t.id, t]));
+      const imported = [];
+      const skipped = [];
+      for (const raw of list) {
+        try {
+          const t = normalizeTemplate(raw);
+          byId.set(t.id, stamp(t, byId.get(t.id)));
+          imported.push(t.id);
+        } catch (e) { skipped.push({ id: raw?.id ?? null, error: e.message }); }
+      }
+      // A replace that brings nothing valid would just wipe the library.
+      if (replace && !imported.length) throw templateError("Nothing to import: no valid templates, so the library was left as is.");
+      if (byId.size > MAX_TEMPLATES) throw templateError(`At most ${MAX_TEMPLATES} templates.`);
+      if (imported.length || replace) write([...byId.values()]);
+      return { imported, skipped };
+    },
+
+    export: () => ({ version: 1, exportedAt: new Date().toISOString(), templates: read().map(({ builtin, createdAt, updatedAt, ...t }) => t) })
+  };
+}
@@ -0,0 +1,35 @@
+// lib/text.js
+// Smart text assembly & normalization for model output: joins fragments
+// without gluing words together and tidies punctuation spacing.
+
+export function smartJoin(parts = []) {
+  let out = "";
+  for (const raw of parts) {
+    const s = String(raw ?? "");
+    if (!s) continue;
+    if (!out) { out = s; continue; }
+
+    const prev = out[out.length - 1];
+    const next = s[0];
+
+    const needSpace =
+      (/\w/.test(prev) && /\w/.test(next)) ||
+      (/[)\]]/.test(prev) && /\w/.test(next)) ||
+      (/[.,;:!?]/.test(prev) && !/[\s.,;:!?)\]]/.test(next));
+
+    out += (needSpace ? " " : "") + s;
+  }
+  return out.replace(/\s+([.,;:!?])/g, "$1");
+}
+export function normalizeOutputText(s = "") {
+  if (!s) return s;
+  s = s.replace(/\r\n?/g, "\n");
+  s = s.replace(/([A-Za-z0-9])\.([A-Za-z])/g, "$1. $2");
+  s = s.replace(/([,;:!?])(?=[A-Za-z0-9(])/g, "$1 ");
+  s = s.replace(/\s+([.,;:!?])/g, "$1");
+  s = s.replace(/\be\. ?g\./gi, "e.g.");
+  s = s.replace(/\bi\. ?e\./gi, "i.e.");
+  s = s.replace(/\b([A-Z])\. ?([A-Z])\./g, "$1.$2.");
+  s = s.replace(/[ \t]{2,}/g, " ").replace(/\. \./g, ". ");
+  return s;
+}
@@ -0,0 +1,217 @@
+// lib/upstream.js
+// Keeps model calls alive through the usual upstream trouble:
+//
+//   - typed errors: every failure carries { code, retryable, status } so routes
+//     and the client can tell a quota error from a network blip;
+//   - retries with exponential backoff and full jitter, waiting at least as
+//     long as the upstream's Retry-After on 429/5xx;
+//   - a per-attempt timeout (for streams: the longest silence between deltas)
+//     and an overall deadline across attempts;
+//   - a circuit breaker that fails fast while the upstream keeps failing.
+//
+// withResilience(provider, opts) wraps any provider from lib/providers.js and
+// keeps its surface (check/complete/stream), adding health().
+
+export const ERROR_CODES = [
+  "rate_limited", "quota_exhausted", "auth_failed", "bad_request", "upstream_unavailable",
+  "timeout", "network", "circuit_open", "aborted", "not_configured", "empty_response", "upstream_error"
+];
+const RETRYABLE = new Set(["rate_limited", "upstream_unavailable", "timeout", "network", "circuit_open"]);
+// Failures that say the upstream itself is unhealthy (a 429 doesn't).
+const TRIPS_BREAKER = new Set(["upstream_unavailable", "timeout", "network"]);
+// What our own response status should be; never the upstream's 401/429, which
+// the client would take as its own session or rate limit.
+const HTTP_STATUS = { rate_limited: 503, circuit_open: 503, timeout: 504, aborted: 499, not_configured: 503 };
+
+export function upstreamError(message, { code = "upstream_error", retryable = RETRYABLE.has(code), upstreamStatus = null, retryAfterMs = null, cause } = {}) {
+  return Object.assign(new Error(message, cause ? { cause } : undefined), {
+    code, retryable, upstreamStatus, retryAfterMs, status: HTTP_STATUS[code] || 502
+  });
+}
+
+// Retry-After is either seconds or an HTTP date; retry-after-ms (OpenAI) wins.
+export function parseRetryAfter(headers) {
+  const get = (k) => (typeof headers?.get === "function" ? headers.get(k) : headers?.[k]);
+  const ms = get("retry-after-ms");
+  if (ms != null && ms !== "" && Number(ms) >= 0) return Number(ms);
+  const v = get("retry-after");
+  if (v == null || v === "") return null;
+  const s = Number(v);
+  if (Number.isFinite(s)) return Math.max(0, s * 1000);
+  const at = Date.parse(v);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+// `message` is already formatted ("<label> error <status>: …").
+export function httpError(message, status, { headers, body = "" } = {}) {
+  let code = "upstream_error";
+  if (status === 429) code = /insufficient_quota|billing|exceeded your current quota/i.test(body) ? "quota_exhausted" : "rate_limited";
+  else if (status === 401 || status === 403) code = "auth_failed";
+  else if (status === 408 || status === 409 || status >= 500) code = "upstream_unavailable";
+  else if (status >= 400) code = "bad_request";
+  return upstreamError(message, { code, upstreamStatus: status, retryAfterMs: parseRetryAfter(headers) });
+}
+
+// Anything thrown during a call → a typed error. `signal` is the caller's (a
+// Stop or a closed connection), `attempt` the per-attempt one (timeouts).
+export function classifyError(e, { signal, attempt } = {}) {
+  if (e?.code && ERROR_CODES.includes(e.code)) return e;
+  const message = String(e?.message || e);
+  if (signal?.aborted) return upstreamError("Request was canceled.", { code: "aborted", cause: e });
+  if (attempt?.aborted || e?.name === "TimeoutError") {
+    const reason = attempt?.reason?.message || "no response in time";
+    return upstreamError(`Upstream timed out (${reason}).`, { code: "timeout", cause: e });
+  }
+  const status = Number(message.match(/\berror (\d{3})\b/)?.[1]);
+  if (status) return httpError(message, status, { body: message });
+  if (e?.name === "AbortError") return upstreamError("Request was canceled.", { code: "aborted", cause: e });
+  if (/fetch failed|terminated|ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|ETIMEDOUT|socket hang up|other side closed/i.test(`${message} ${e?.cause?.code || ""}`)) {
+    return upstreamError(`Couldn't reach the model provider (${e?.cause?.code || message}).`, { code: "network", cause: e });
+  }
+  return upstreamError(message, { code: "upstream_error", retryable: false, cause: e });
+}
+
+// What routes send back for any error: { error, code, retryable, retryAfter? }.
+// Errors from our own validation keep their status and get a generic code.
+export function describeError(e) {
+  const typed = e?.code && ERROR_CODES.includes(e.code);
+  const code = typed ? e.code : e?.status === 404 ? "not_found" : e?.status >= 400 && e?.status < 500 ? "bad_request" : "internal";
+  const out = { error: String(e?.message || e), code, retryable: typed ? !!e.retryable : false };
+  if (e?.retryAfterMs != null) out.retryAfter = Math.ceil(e.retryAfterMs / 1000);
+  return out;
+}
+
+/* ---------------- Backoff ---------------- */
+// Full jitter: uniform in [0, min(max, base·2^attempt)], never below Retry-After.
+export function backoffDelay(attempt, { baseMs = 500, maxMs = 8000, retryAfterMs = null, random = Math.random } = {}) {
+  const jittered = Math.floor(random() * Math.min(maxMs, baseMs * 2 ** attempt));
+  return retryAfterMs != null ? Math.max(retryAfterMs, jittered) : jittered;
+}
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(signal.reason);
+  const t = setTimeout(() => { signal?.removeEventListener("abort", onAbort); resolve(); }, ms);
+  const onAbort = () => { clearTimeout(t); reject(signal.reason); };
+  signal?.addEventListener("abort", onAbort, { once: true });
+});
+
+/* ---------------- Circuit breaker ---------------- */
+// closed → (threshold consecutive failures) → open → (cooldown) → half-open:
+// one probe goes through; its success closes the circuit, its failure reopens it.
+export function createCircuitBreaker({ threshold = 5, cooldownMs = 30_000, now = Date.now } = {}) {
+  let state = "closed";
+  let failures = 0;
+  let openedAt = 0;
+  let probing = false;
+  let trips = 0;
+
+  return {
+    // Throws circuit_open instead of letting the call through.
+    enter() {
+      if (state === "open") {
+        const left = openedAt + cooldownMs - now();
+        if (left > 0) throw upstreamError(`Model provider is failing; not retrying for ${Math.ceil(left / 1000)}s.`, { code: "circuit_open", retryAfterMs: left });
+        state = "half_open";
+      }
+      if (state === "half_open") {
+        if (probing) throw upstreamError("Model provider is recovering; try again shortly.", { code: "circuit_open", retryAfterMs: 1000 });
+        probing = true;
+      }
+    },
+    success() {
+      state = "closed"; failures = 0; probing = false;
+    },
+    failure(e) {
+      const counts = TRIPS_BREAKER.has(e?.code);
+      if (state === "half_open") {
+        probing = false;
+        if (!counts) return;
+        state = "open"; openedAt = now(); trips++;
+        return;
+      }
+      if (!counts) return;
+      failures++;
+      if (failures >= threshold && state === "closed") { state = "open"; openedAt = now(); trips++; }
+    },
+    stats() {
+      return { state, failures, trips, ...(state === "open" ? { retryInMs: Math.max(0, openedAt + cooldownMs - now()) } : {}) };
+    }
+  };
+}
+
+/* ---------------- Wrapper ---------------- */
+export function withResilience(provider, {
+  retries = 2,
+  baseMs = 500,
+  maxMs = 8000,
+  timeoutMs = 60_000,
+  deadlineMs = 180_000,
+  breaker = createCircuitBreaker(),
+  onRetry = () => {},
+  onAttempt = () => {}
+} = {}) {
+  // One attempt gets a signal that fires on the caller's abort, on the attempt
+  // timeout (reset by `touch` for streams) or on the overall deadline.
+  function attemptSignal(signal, left) {
+    const idle = new AbortController();
+    let timer = null;
+    const touch = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => idle.abort(new DOMException(`no data for ${Math.round(timeoutMs / 1000)}s`, "TimeoutError")), timeoutMs);
+    };
+    touch();
+    const deadline = AbortSignal.timeout(Math.max(1, left));
+    const signals = [idle.signal, deadline, ...(signal ? [signal] : [])];
+    return { signal: AbortSignal.any(signals), touch, done: () => clearTimeout(timer) };
+  }
+
+  // onAttempt({ kind, attempt, durationMs, requestId, error? }) after every
+  // upstream attempt, failed or not; onRetry before each backoff.
+  async function run(call, { signal, requestId } = {}, { streaming = false } = {}) {
+    const started = Date.now();
+    const kind = streaming ? "stream" : "complete";
+    for (let attempt = 0; ; attempt++) {
+      if (signal?.aborted) throw classifyError(signal.reason, { signal });
+      const left = deadlineMs - (Date.now() - started);
+      if (left <= 0) throw upstreamError(`Gave up after ${Math.round(deadlineMs / 1000)}s.`, { code: "timeout" });
+      breaker.enter();
+
+      const a = attemptSignal(signal, left);
+      const at = Date.now();
+      let streamed = false;
+      try {
+        const result = await call(a.signal, () => { streamed = true; a.touch(); });
+        breaker.success();
+        onAttempt({ kind, attempt, durationMs: Date.now() - at, requestId });
+        return result;
+      } catch (raw) {
+        const e = classifyError(raw, { signal, attempt: a.signal });
+        breaker.failure(e);
+        onAttempt({ kind, attempt, durationMs: Date.now() - at, requestId, error: e });
+        // Deltas already reached the caller: a retry would repeat them.
+        if (!e.retryable || e.code === "circuit_open" || attempt >= retries || (streaming && streamed)) throw e;
+        const wait = backoffDelay(attempt, { baseMs, maxMs, retryAfterMs: e.retryAfterMs });
+        if (Date.now() - started + wait >= deadlineMs) throw e;
+        onRetry({ attempt: attempt + 1, waitMs: wait, error: e, requestId });
+        try { await sleep(wait, signal); }
+        catch (abort) { throw classifyError(abort, { signal }); }
+      } finally {
+        a.done();
+      }
+    }
+  }
+
+  return {
+    ...provider,
+    complete(messages, opts = {}) {
+      return run((signal) => provider.complete(messages, { ...opts, signal }), opts);
+    },
+    stream(messages, opts = {}) {
+      const { onDelta = () => {} } = opts;
+      return run((signal, touch) => provider.stream(messages, { ...opts, signal, onDelta: (d) => { touch(); onDelta(d); } }), opts, { streaming: true });
+    },
+    health() {
+      return { breaker: breaker.stats(), retries, timeoutMs, deadlineMs };
+    }
+  };
+}
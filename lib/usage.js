@@ -0,0 +1,122 @@
+// lib/usage.js
+// Token accounting for model calls. One JSONL line per model round (so every
+// auto-continue round is counted) under data/usage/YYYY-MM-DD.jsonl, plus a
+// per-day running total per user for quota checks.
+
+import fs from "fs";
+import path from "path";
+import { createLogger } from "./logger.js";
+
+// USD per 1M tokens. Override or extend with MODEL_PRICING (same JSON shape).
+export const DEFAULT_PRICING = {
+  "gpt-5-nano": { input: 0.05, output: 0.4 },
+  "gpt-5-mini": { input: 0.25, output: 2.0 },
+  "gpt-5":      { input: 1.25, output: 10.0 },
+  "mock":       { input: 0, output: 0 }
+};
+
+export function parsePricing(raw, { log = createLogger() } = {}) {
+  if (!raw) return { ...DEFAULT_PRICING };
+  try { return { ...DEFAULT_PRICING, ...JSON.parse(raw) }; }
+  catch { log.warn("MODEL_PRICING is not valid JSON; using defaults"); return { ...DEFAULT_PRICING }; }
+}
+
+// Responses (`input_tokens`/`output_tokens`) or Chat Completions (`prompt_tokens`/`completion_tokens`).
+export function extractUsage(raw) {
+  const u = raw?.usage;
+  if (!u) return null;
+  const input  = Number(u.input_tokens ?? u.prompt_tokens ?? 0) || 0;
+  const output = Number(u.output_tokens ?? u.completion_tokens ?? 0) || 0;
+  return { input, output };
+}
+
+export const dayOf = (d = new Date()) => new Date(d).toISOString().slice(0, 10);
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Dated snapshots ("gpt-5-nano-2025-08-07") price as their base model.
+function priceFor(pricing, model = "") {
+  const key = Object.keys(pricing).filter(k => String(model).startsWith(k)).sort((a, b) => b.length - a.length)[0];
+  return key ? pricing[key] : null;
+}
+
+export function costOf(pricing, model, input, output) {
+  const p = priceFor(pricing, model);
+  if (!p) return null;
+  return (input * (p.input || 0) + output * (p.output || 0)) / 1e6;
+}
+
+export function createUsageLedger(dir, { pricing = DEFAULT_PRICING } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileFor = (day) => path.join(dir, `${day}.jsonl`);
+
+  const readDay = (day) => {
+    let text = "";
+    try { text = fs.readFileSync(fileFor(day), "utf8"); } catch { return []; }
+    return text.split("\n").filter(Boolean).map(l => { try { return JSON.parse(l); } catch { return null; } }).filter(Boolean);
+  };
+
+  // { day, byUser: Map<userId, tokens> } — rebuilt from disk when the day rolls over.
+  let today = null;
+  const todayTotals = () => {
+    const day = dayOf();
+    if (today?.day !== day) {
+      const byUser = new Map();
+      for (const e of readDay(day)) byUser.set(e.user, (byUser.get(e.user) || 0) + e.input + e.output);
+      today = { day, byUser };
+    }
+    return today;
+  };
+
+  return {
+    // { user, username, model, provider, route, requestId, round, input, output, estimated?, aborted? }
+    record(entry) {
+      const at = new Date();
+      const line = { at: at.toISOString(), ...entry, input: Math.max(0, Math.round(entry.input || 0)), output: Math.max(0, Math.round(entry.output || 0)) };
+      fs.appendFileSync(fileFor(dayOf(at)), JSON.stringify(line) + "\n", "utf8");
+      const t = todayTotals();
+      if (t.day === dayOf(at)) t.byUser.set(line.user, (t.byUser.get(line.user) || 0) + line.input + line.output);
+      return line;
+    },
+
+    tokensToday: (user) => todayTotals().byUser.get(user) || 0,
+
+    // Rows per day × user × model between from..to (inclusive, YYYY-MM-DD).
+    report({ from, to, user = null } = {}) {
+      const end = DAY_RE.test(String(to)) ? to : dayOf();
+      const start = DAY_RE.test(String(from)) ? from : dayOf(Date.parse(end) - 29 * 86400_000);
+      const days = fs.readdirSync(dir)
+        .map(f => f.replace(/\.jsonl$/, ""))
+        .filter(d => DAY_RE.test(d) && d >= start && d <= end)
+        .sort();
+
+      const rows = new Map();
+      for (const day of days) {
+        for (const e of readDay(day)) {
+          if (user && e.user !== user) continue;
+          const key = `${day}|${e.user}|${e.model}`;
+          if (!rows.has(key)) rows.set(key, { day, user: e.user, username: e.username || null, model: e.model, requests: new Set(), rounds: 0, input: 0, output: 0, estimated: 0 });
+          const r = rows.get(key);
+          r.requests.add(e.requestId);
+          r.rounds++;
+          r.input += e.input;
+          r.output += e.output;
+          if (e.estimated) r.estimated++;
+        }
+      }
+
+      const out = [...rows.values()].map(r => {
+        const cost = costOf(pricing, r.model, r.input, r.output);
+        return { ...r, requests: r.requests.size, total: r.input + r.output, cost: cost == null ? null : Number(cost.toFixed(6)) };
+      });
+      const totals = out.reduce((t, r) => ({
+        requests: t.requests + r.requests,
+        rounds: t.rounds + r.rounds,
+        input: t.input + r.input,
+        output: t.output + r.output,
+        cost: t.cost + (r.cost || 0)
+      }), { requests: 0, rounds: 0, input: 0, output: 0, cost: 0 });
+      totals.cost = Number(totals.cost.toFixed(6));
+      return { from: start, to: end, rows: out, totals };
+    }
+  };
+}
@@ -1,8 +1,15 @@
 // scripts/build_index.mjs
+// Incremental index build: only files whose content hash changed are
+// re-embedded; records for deleted sources are removed.
+//
+//   node scripts/build_index.mjs [--dry-run] [--full]
+//                                [--chunk-size=1100] [--overlap=120] [--batch-size=64]
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import dotenv from "dotenv";
+import { embedderFromEnv } from "../lib/embeddings.js";
+import { buildIndex, listSources, DEFAULT_CHUNKING } from "../lib/indexer.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname  = path.dirname(__filename);
@@ -16,105 +23,70 @@ if (fs.existsSync(DOTENV_PATH)) {
   dotenv.config({ path: DOTENV_PATH });
 }
 
-// Config
-const EMBED_MODEL = process.env.OPENAI_EMBED_MODEL || "text-embedding-3-small";
-const MAX_CHUNK_CHARS = 1100;         // ~700–800 tokens-ish
-const CHUNK_OVERLAP   = 120;
+// Config (flags override env)
+const args = process.argv.slice(2);
+const flag = (name) => args.includes(`--${name}`);
+const opt  = (name, fallback) => {
+  const hit = args.find(a => a.startsWith(`--${name}=`));
+  const v = Number(hit ? hit.split("=")[1] : fallback);
+  return Number.isFinite(v) && v >= 0 ? v : fallback;
+};
+const DRY_RUN    = flag("dry-run");
+const FULL       = flag("full");
+const CHUNKING   = {
+  size:    opt("chunk-size", Number(process.env.INDEX_CHUNK_CHARS || DEFAULT_CHUNKING.size)),
+  overlap: opt("overlap",    Number(process.env.INDEX_CHUNK_OVERLAP ?? DEFAULT_CHUNKING.overlap))
+};
+const BATCH_SIZE = Math.max(1, opt("batch-size", Number(process.env.EMBED_BATCH_SIZE || 64)));
 
 // Ensure dirs
 fs.mkdirSync(path.join(ROOT, "data"), { recursive: true });
 
-if (!process.env.OPENAI_API_KEY) {
+const embedder = embedderFromEnv();
+if (embedder.name === "openai" && !process.env.OPENAI_API_KEY && !DRY_RUN) {
   console.error("❌ OPENAI_API_KEY missing.");
   console.error("   - Local: add it to .env at project root OR your shell env.");
   console.error("   - Render: add it in the Dashboard → Environment → OPENAI_API_KEY.");
+  console.error("   - Offline: set EMBED_PROVIDER=hash for a deterministic local index.");
   process.exit(1);
 }
 
-// Utilities
-function chunkText(txt, max = MAX_CHUNK_CHARS, overlap = CHUNK_OVERLAP) {
-  const clean = txt.replace(/\r/g, "").trim();
-  if (!clean) return [];
-  if (clean.length <= max) return [clean];
-
-  const chunks = [];
-  let i = 0;
-  while (i < clean.length) {
-    const slice = clean.slice(i, i + max);
-    chunks.push(slice);
-    i += Math.max(1, max - overlap);
-  }
-  return chunks;
-}
-
-async function embedBatch(texts) {
-  if (!texts.length) return [];
-  const body = { input: texts, model: EMBED_MODEL };
-  const r = await fetch("https://api.openai.com/v1/embeddings", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify(body)
-  });
-  if (!r.ok) {
-    const msg = await r.text().catch(()=> "");
-    throw new Error(`Embeddings API error ${r.status}: ${msg}`);
-  }
-  const data = await r.json();
-  return data.data.map(d => d.embedding);
-}
-
 // Main
 async function main() {
   if (!fs.existsSync(SRC_DIR)) {
     console.error(`❌ Source folder not found: ${SRC_DIR}`);
     process.exit(1);
   }
-
-  // Support .txt and .md
-  const files = fs.readdirSync(SRC_DIR).filter(f => /\.(txt|md)$/i.test(f));
-  if (!files.length) {
+  if (!listSources(SRC_DIR).length) {
     console.error(`❌ No .txt or .md files found in ${SRC_DIR}. Add your posts first.`);
     process.exit(1);
   }
 
-  console.log(`📚 Building index from ${files.length} source file(s)…`);
-
-  const records = [];
-  for (const file of files) {
-    const full = path.join(SRC_DIR, file);
-    const text = fs.readFileSync(full, "utf8");
-    const title = file.replace(/\.(txt|md)$/i, "");
-    const chunks = chunkText(text);
-    console.log(` - ${file}: ${chunks.length} chunk(s)`);
-
-    if (!chunks.length) continue;
+  console.log(`📚 ${DRY_RUN ? "Planning" : "Building"} index (${embedder.model}, chunk ${CHUNKING.size}/${CHUNKING.overlap})…`);
+
+  const report = await buildIndex({
+    srcDir: SRC_DIR,
+    indexFile: OUT_FILE,
+    embedder,
+    chunking: CHUNKING,
+    batchSize: BATCH_SIZE,
+    full: FULL,
+    dryRun: DRY_RUN,
+    log: (line) => console.log(line)
+  });
 
-    // Embed in batches (single batch is fine for small sets)
-    const embeddings = await embedBatch(chunks);
+  const list = (items) => items.map(x => typeof x === "string" ? x : `${x.file} (${x.chunks})`).join(", ") || "—";
+  console.log(`   added:     ${list(report.added)}`);
+  console.log(`   changed:   ${list(report.changed)}`);
+  console.log(`   removed:   ${list(report.removed)}`);
+  console.log(`   unchanged: ${report.unchanged.length} file(s)`);
 
-    chunks.forEach((content, i) => {
-      records.push({
-        id: `${file}#${i}`,
-        file,
-        title,
-        content,
-        embedding: embeddings[i],
-        chars: content.length
-      });
-    });
+  if (DRY_RUN) {
+    const pending = [...report.added, ...report.changed].reduce((n, x) => n + x.chunks, 0);
+    console.log(`🔎 Dry run: would embed ${pending} chunk(s); ${report.chunks} chunk(s) total. Nothing written.`);
+    return;
   }
-
-  fs.writeFileSync(OUT_FILE, JSON.stringify({
-    model: EMBED_MODEL,
-    createdAt: new Date().toISOString(),
-    count: records.length,
-    records
-  }, null, 2));
-
-  console.log(`✅ Wrote ${records.length} chunk(s) → ${OUT_FILE}`);
+  console.log(`✅ Embedded ${report.embedded} chunk(s); index holds ${report.chunks} → ${OUT_FILE}`);
 }
 
 main().catch(e => {
@@ -0,0 +1,96 @@
+// scripts/publish-standin.mjs
+// Local stand-in for the publish targets, so /api/publish can be tried
+// without a real blog. Serves a minimal WordPress posts API and a webhook
+// receiver, keeps posts in memory and logs every call.
+//
+//   node scripts/publish-standin.mjs [--port=4010] [--user=editor --password=secret] [--secret=whsec]
+//
+// data/publish-targets.json for it:
+//   { "targets": [
+//     { "id": "wp-local", "type": "wordpress", "url": "http://localhost:4010", "username": "editor", "password": "secret" },
+//     { "id": "hook-local", "type": "webhook", "url": "http://localhost:4010/webhook", "secret": "whsec" },
+//     { "id": "site-local", "type": "markdown", "dir": "data/published" }
+//   ] }
+import crypto from "crypto";
+import express from "express";
+
+const args = process.argv.slice(2);
+const opt = (name, fallback) => args.find(a => a.startsWith(`--${name}=`))?.split("=").slice(1).join("=") ?? fallback;
+const PORT = Number(opt("port", 4010));
+const USER = opt("user", "");
+const PASSWORD = opt("password", "");
+const SECRET = opt("secret", "");
+
+const app = express();
+app.use(express.json({ limit: "5mb", verify: (req, _res, buf) => { req.rawBody = buf; } }));
+
+const posts = new Map();
+let nextId = 100;
+const base = `http://localhost:${PORT}`;
+
+/* ---------------- WordPress: /wp-json/wp/v2/posts ---------------- */
+function checkAuth(req, res) {
+  if (!USER) return true;
+  const [scheme, token] = String(req.headers.authorization || "").split(" ");
+  const [u, p] = Buffer.from(token || "", "base64").toString().split(":");
+  if (scheme === "Basic" && u === USER && p === PASSWORD) return true;
+  res.status(401).json({ code: "rest_not_logged_in", message: "Sorry, you are not allowed to create posts as this user." });
+  return false;
+}
+
+const STATUSES = ["draft", "future", "publish", "pending", "private"];
+function savePost(id, body, prev = {}) {
+  if (body.status && !STATUSES.includes(body.status)) return { error: `Invalid status '${body.status}'.` };
+  if (body.status === "future" && !body.date_gmt && !prev.date_gmt) return { error: "Scheduled posts need date_gmt." };
+  const post = {
+    ...prev,
+    id,
+    title: body.title ?? prev.title,
+    content: body.content ?? prev.content,
+    excerpt: body.excerpt ?? prev.excerpt,
+    slug: body.slug ?? prev.slug,
+    status: body.status ?? prev.status ?? "draft",
+    date_gmt: body.date_gmt ?? prev.date_gmt ?? new Date().toISOString().slice(0, 19),
+    modified_gmt: new Date().toISOString().slice(0, 19)
+  };
+  post.link = `${base}/?p=${id}`;
+  posts.set(id, post);
+  return { post };
+}
+const wpView = (p) => ({ ...p, title: { rendered: p.title }, content: { rendered: p.content }, excerpt: { rendered: p.excerpt } });
+
+app.get("/wp-json/wp/v2/posts", (_req, res) => res.json([...posts.values()].map(wpView)));
+app.post("/wp-json/wp/v2/posts", (req, res) => {
+  if (!checkAuth(req, res)) return;
+  const { post, error } = savePost(nextId++, req.body || {});
+  if (error) return res.status(400).json({ code: "rest_invalid_param", message: error });
+  console.log(`WP create #${post.id} [${post.status}] ${post.title}`);
+  res.status(201).json(wpView(post));
+});
+app.post("/wp-json/wp/v2/posts/:id", (req, res) => {
+  if (!checkAuth(req, res)) return;
+  const id = Number(req.params.id);
+  if (!posts.has(id)) return res.status(404).json({ code: "rest_post_invalid_id", message: "Invalid post ID." });
+  const { post, error } = savePost(id, req.body || {}, posts.get(id));
+  if (error) return res.status(400).json({ code: "rest_invalid_param", message: error });
+  console.log(`WP update #${post.id} [${post.status}] ${post.title}`);
+  res.json(wpView(post));
+});
+
+/* ---------------- Webhook ---------------- */
+app.post("/webhook", (req, res) => {
+  if (SECRET) {
+    const expected = "sha256=" + crypto.createHmac("sha256", SECRET).update(req.rawBody || "").digest("hex");
+    const got = String(req.headers["x-hanza-signature"] || "");
+    if (got.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(got), Buffer.from(expected))) {
+      console.log("Webhook rejected: bad signature");
+      return res.status(401).json({ error: "bad signature" });
+    }
+  }
+  const { event, remoteId, post = {} } = req.body || {};
+  const id = remoteId || `hook-${nextId++}`;
+  console.log(`Webhook ${event} ${id} [${post.status}${post.publishAt ? ` @ ${post.publishAt}` : ""}] ${post.title}`);
+  res.json({ id, url: `${base}/hooked/${post.slug || id}` });
+});
+
+app.listen(PORT, () => console.log(`Publish stand-in on ${base} (WordPress: /wp-json/wp/v2/posts, webhook: /webhook)`));
@@ -1,15 +1,46 @@
 // server.js
-// GPT-5-nano via /v1/responses (string input), robust extraction, smart join +
+// Blog drafting via a pluggable LLM provider (GPT-5-nano /v1/responses by
+// default, Chat Completions-compatible servers, or a local mock), smart join +
 // punctuation normalization, auto-continue, and env-tunable token caps.
 
 import express from "express";
 import dotenv from "dotenv";
 import fs from "fs";
 import path from "path";
+import crypto from "crypto";
 import { fileURLToPath } from "url";
-import PDFDocument from "pdfkit";
 import compression from "compression";
 import helmet from "helmet";
+import { retrieve, loadIndex, getRecordsById, formatExcerpts, sourceSummary } from "./lib/retrieval.js";
+import { searchIndex } from "./lib/search.js";
+import { getEmbedder } from "./lib/embeddings.js";
+import { reindexSource } from "./lib/indexer.js";
+import { createSessionStore } from "./lib/sessions.js";
+import { createAuth, loadAuthSecret, parseCookies, AUTH_COOKIE } from "./lib/auth.js";
+import { buildExportDoc, renderExport, EXPORT_FORMATS, EXPORT_MIME } from "./lib/exporters.js";
+import { listSourceDocs, readSourceDoc, writeSourceDoc, deleteSourceDoc, uniqueSourceName, sourcePath } from "./lib/sources.js";
+import { fitHistory, estimateTokens } from "./lib/history.js";
+import { loadPersonas, getPersona, personaSummary, personaInstruction } from "./lib/personas.js";
+import { providerFromEnv, messagesToPlainString } from "./lib/providers.js";
+import { withResilience, createCircuitBreaker, describeError, upstreamError } from "./lib/upstream.js";
+import { createResponseCache, withCache } from "./lib/cache.js";
+import { createLogger } from "./lib/logger.js";
+import { createMetrics } from "./lib/metrics.js";
+import { createUsageLedger, parsePricing, extractUsage, dayOf } from "./lib/usage.js";
+import { createRateLimiter } from "./lib/ratelimit.js";
+import {
+  OUTLINE_LENGTHS, outlineRequest, parseOutline, normalizeOutline,
+  introRequest, sectionRequest, conclusionRequest, stageBudget, leadingHeadingFilter
+} from "./lib/outline.js";
+import { REVISE_ACTIONS, locateSelection, resolveInstruction, reviseRequest, cleanRevision } from "./lib/revise.js";
+import { loadLintRules, lintDraft, applyLintFixes, lintFixRequest, parseFixedDraft } from "./lib/lint.js";
+import { checkOriginality, originalitySummary } from "./lib/originality.js";
+import { createJobQueue } from "./lib/jobs.js";
+import { loadPublishTargets, targetSummary, buildPost, createPublisher } from "./lib/publishers.js";
+import { analyzeSeo, linkSuggestions, defaultSeoMeta, normalizeSeoMeta, seoMetaRequest, parseSeoMeta } from "./lib/seo.js";
+import { REPURPOSE_CHANNELS, resolveChannels, repurposeRequest, repairRequest, parseChannelJson, validateChannel, enforceChannel } from "./lib/repurpose.js";
+import { createTemplateStore, renderTemplate } from "./lib/templates.js";
+import { smartJoin } from "./lib/text.js";
 
 dotenv.config();
 
@@ -30,24 +61,185 @@ const MODEL = normalizeModelId(process.env.OPENAI_MODEL || "gpt-5-nano");
 const DEMO  = String(process.env.DEMO_MODE || "").toLowerCase() === "true";
 const DEBUG = !!process.env.DEBUG;
 const HAS_KEY = !!process.env.OPENAI_API_KEY;
-const IS_GPT5 = /^gpt-5/i.test(MODEL);
+
+/* ---------------- Logging + metrics ---------------- */
+// JSON lines (lib/logger.js); LOG_LEVEL=debug|info|warn|error (DEBUG=1 → debug).
+// Every request gets req.id (X-Request-Id, echoed back) and req.log carrying it.
+const log = createLogger({ level: String(process.env.LOG_LEVEL || (DEBUG ? "debug" : "info")).toLowerCase() });
+const metrics = createMetrics();
+const ROUND_BUCKETS = [1, 2, 3, 4, 6, 8, 12, 20];
+const m = {
+  requests:        metrics.counter("hanza_http_requests_total", "HTTP requests by route and status.", ["method", "route", "status"]),
+  requestSeconds:  metrics.histogram("hanza_http_request_duration_seconds", "HTTP request latency (streams: until the last byte).", ["method", "route"]),
+  upstream:        metrics.counter("hanza_upstream_requests_total", "Upstream model calls (attempts, retries included) by outcome.", ["kind", "outcome"]),
+  upstreamSeconds: metrics.histogram("hanza_upstream_request_duration_seconds", "Upstream attempt latency.", ["kind"]),
+  upstreamErrors:  metrics.counter("hanza_upstream_errors_total", "Failed upstream attempts by error code.", ["code"]),
+  rounds:          metrics.counter("hanza_model_rounds_total", "Model rounds, auto-continue included.", ["route", "kind"]),
+  continued:       metrics.counter("hanza_autocontinue_rounds_total", "Extra rounds started because a round hit max_output_tokens.", ["route"]),
+  generationRounds: metrics.histogram("hanza_generation_rounds", "Rounds per auto-continued generation.", ["route"], ROUND_BUCKETS),
+  generationSeconds: metrics.histogram("hanza_generation_duration_seconds", "Whole auto-continued generations.", ["route", "kind"]),
+  firstDelta:      metrics.histogram("hanza_stream_first_delta_seconds", "Time to the first streamed delta of a round.", ["route"]),
+  tokens:          metrics.counter("hanza_tokens_total", "Metered tokens (estimated when the provider reports no usage).", ["route", "type"])
+};
+metrics.gauge("hanza_response_cache_events_total", "Response cache lookups and sharing (lib/cache.js).", ["event"], () => {
+  const c = LLM.cacheStats();
+  return ["hits", "diskHits", "misses", "stores", "coalesced", "bypassed"].map(event => ({ labels: { event }, value: c[event] }));
+}, { type: "counter" });
+metrics.gauge("hanza_upstream_circuit_open", "1 while the circuit breaker is failing fast.", [], () => (LLM.health().breaker.state === "closed" ? 0 : 1));
+metrics.gauge("hanza_jobs_running", "Batch job items running now.", [], () => jobs.stats().running);
+metrics.gauge("process_resident_memory_bytes", "Resident memory size in bytes.", [], () => process.memoryUsage().rss);
+metrics.gauge("nodejs_heap_used_bytes", "V8 heap in use, in bytes.", [], () => process.memoryUsage().heapUsed);
+metrics.gauge("process_uptime_seconds", "Seconds since the server started.", [], () => Math.round(process.uptime()));
+
+// Retries, timeouts and the circuit breaker wrap whichever provider is configured
+// (lib/upstream.js); the response cache sits in front of them (lib/cache.js).
+// RESPONSE_CACHE=true stores answers; identical in-flight calls are shared either way.
+const RESPONSE_CACHE = createResponseCache(path.join(__dirname, "data", "cache"), {
+  enabled:        String(process.env.RESPONSE_CACHE || "").toLowerCase() === "true",
+  ttlMs:          Math.max(1000, Number(process.env.RESPONSE_CACHE_TTL_MS || 86_400_000)),
+  maxEntries:     Math.max(1, Number(process.env.RESPONSE_CACHE_MAX || 500)),
+  maxDiskEntries: Math.max(1, Number(process.env.RESPONSE_CACHE_DISK_MAX || 5000)),
+  log
+});
+const LLM   = withCache(withResilience(providerFromEnv(process.env, { model: MODEL, demo: DEMO, log }), {
+  retries:    Math.min(6, Math.max(0, Number(process.env.UPSTREAM_RETRIES ?? 2))),
+  timeoutMs:  Math.max(1000, Number(process.env.UPSTREAM_TIMEOUT_MS || 60_000)),
+  deadlineMs: Math.max(1000, Number(process.env.UPSTREAM_DEADLINE_MS || 180_000)),
+  breaker: createCircuitBreaker({
+    threshold:  Math.max(1, Number(process.env.BREAKER_THRESHOLD || 5)),
+    cooldownMs: Math.max(1000, Number(process.env.BREAKER_COOLDOWN_MS || 30_000))
+  }),
+  onRetry: ({ attempt, waitMs, error, requestId }) => log.warn("upstream retry", { requestId, attempt, waitMs, code: error.code, error: error.message }),
+  onAttempt: ({ kind, durationMs, error, requestId, attempt }) => {
+    m.upstream.inc({ kind, outcome: error ? error.code : "ok" });
+    m.upstreamSeconds.observe({ kind }, durationMs / 1000);
+    if (error && error.code !== "aborted") {
+      m.upstreamErrors.inc({ code: error.code });
+      log.warn("upstream attempt failed", { requestId, kind, attempt, durationMs, code: error.code, upstreamStatus: error.upstreamStatus ?? undefined, error: error.message });
+    }
+  }
+}), RESPONSE_CACHE);
 
 /* ---------------- Paths ---------------- */
 const PUBLIC_DIR  = path.join(__dirname, "public");
 const DATA_DIR    = path.join(__dirname, "data");
 const TRANSCRIPTS = path.join(DATA_DIR, "transcripts");
+const INDEX_FILE  = path.join(DATA_DIR, "index.json");
+const SOURCES_DIR = path.join(DATA_DIR, "sources");
+const SESSIONS_DIR = path.join(DATA_DIR, "sessions");
+const PERSONAS_DIR = process.env.PERSONAS_DIR ? path.resolve(process.env.PERSONAS_DIR) : path.join(DATA_DIR, "personas");
+const DEFAULT_PERSONA = process.env.DEFAULT_PERSONA || "hanza";
+const LINT_RULES_FILE = process.env.LINT_RULES_FILE ? path.resolve(process.env.LINT_RULES_FILE) : path.join(DATA_DIR, "lint-rules.json");
+const PUBLISH_TARGETS_FILE = process.env.PUBLISH_TARGETS_FILE ? path.resolve(process.env.PUBLISH_TARGETS_FILE) : path.join(DATA_DIR, "publish-targets.json");
+const TEMPLATES_FILE = process.env.TEMPLATES_FILE ? path.resolve(process.env.TEMPLATES_FILE) : path.join(DATA_DIR, "templates.json");
 fs.mkdirSync(DATA_DIR, { recursive: true });
 fs.mkdirSync(TRANSCRIPTS, { recursive: true });
 
+/* ---------------- Auth & workspaces ---------------- */
+// AUTH_ENABLED=false keeps the old single-user behaviour: everyone is a local
+// admin and sessions/transcripts live directly in data/sessions, data/transcripts.
+const AUTH_ENABLED = String(process.env.AUTH_ENABLED ?? "true").toLowerCase() !== "false";
+const LOCAL_USER   = { id: "local", username: "local", role: "admin" };
+const auth = createAuth({
+  file: path.join(DATA_DIR, "users.json"),
+  secret: loadAuthSecret(path.join(DATA_DIR, ".auth_secret"), process.env.AUTH_SECRET),
+  ttlHours: Number(process.env.AUTH_TTL_HOURS || 24 * 14)
+});
+
+// Per-user folders: data/sessions/<userId>, data/transcripts/<userId>.
+const workspaces = new Map();
+function workspaceFor(user) {
+  const id = user?.id || LOCAL_USER.id;
+  if (!workspaces.has(id)) {
+    const transcripts = AUTH_ENABLED ? path.join(TRANSCRIPTS, id) : TRANSCRIPTS;
+    fs.mkdirSync(transcripts, { recursive: true });
+    const sessions = createSessionStore(AUTH_ENABLED ? path.join(SESSIONS_DIR, id) : SESSIONS_DIR);
+    workspaces.set(id, { transcripts, sessions });
+  }
+  return workspaces.get(id);
+}
+
+// Files saved before accounts existed belong to the first admin.
+function adoptLegacyFiles(user) {
+  const ws = workspaceFor(user);
+  const moves = [
+    [TRANSCRIPTS, ws.transcripts, f => /\.(json|pdf|md|html|docx)$/i.test(f)],
+    [SESSIONS_DIR, path.join(SESSIONS_DIR, user.id), f => f.endsWith(".json")]
+  ];
+  let moved = 0;
+  for (const [from, to, keep] of moves) {
+    let files = [];
+    try { files = fs.readdirSync(from, { withFileTypes: true }).filter(d => d.isFile() && keep(d.name)).map(d => d.name); } catch { continue; }
+    for (const f of files) { fs.renameSync(path.join(from, f), path.join(to, f)); moved++; }
+  }
+  if (moved) log.info("moved pre-account files into a workspace", { files: moved, username: user.username });
+}
+
+// ADMIN_USERNAME / ADMIN_PASSWORD bootstrap the first account on an empty store.
+// Without them the admin is created in the browser: directly from this machine,
+// or from anywhere with SETUP_TOKEN (one is generated and logged when unset).
+let SETUP_TOKEN = process.env.SETUP_TOKEN || "";
+if (AUTH_ENABLED) {
+  if (!auth.hasUsers() && process.env.ADMIN_USERNAME && process.env.ADMIN_PASSWORD) {
+    auth.createUser({ username: process.env.ADMIN_USERNAME, password: process.env.ADMIN_PASSWORD, role: "admin" });
+  }
+  if (!auth.hasUsers() && !process.env.SETUP_TOKEN) SETUP_TOKEN = crypto.randomBytes(18).toString("base64url");
+  const firstAdmin = auth.listUsers().filter(u => u.role === "admin").sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))[0];
+  if (firstAdmin) adoptLegacyFiles(firstAdmin);
+}
+
 /* ---------------- Middleware ---------------- */
 app.disable("x-powered-by");
+// Behind a proxy (Render, nginx) set TRUST_PROXY=1 so req.ip is the client address.
+if (process.env.TRUST_PROXY) app.set("trust proxy", /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+// Request id + access log + HTTP metrics. A caller's X-Request-Id is kept when
+// it looks sane. Static files only show up at debug level and as route "static".
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+app.use((req, res, next) => {
+  const given = String(req.headers["x-request-id"] || "");
+  req.id = REQUEST_ID_RE.test(given) ? given : crypto.randomUUID();
+  req.log = log.child({ requestId: req.id });
+  res.setHeader("X-Request-Id", req.id);
+  const started = process.hrtime.bigint();
+  res.on("close", () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : req.method === "GET" && res.statusCode < 400 ? "static" : "unmatched";
+    m.requests.inc({ method: req.method, route, status: res.statusCode });
+    m.requestSeconds.observe({ method: req.method, route }, seconds);
+    const level = res.statusCode >= 500 ? "error" : res.statusCode >= 400 && res.statusCode !== 404 ? "warn" : route === "static" ? "debug" : "info";
+    // originalUrl, not req.path: a response ended inside a path-mounted middleware
+    // (a 401 from app.use("/api", requireAuth)) leaves req.url without the prefix.
+    req.log[level]("request", {
+      method: req.method, path: req.originalUrl.split("?")[0], route, status: res.statusCode,
+      durationMs: Math.round(seconds * 1000), user: req.user?.username || undefined,
+      ...(res.writableFinished ? {} : { aborted: true })
+    });
+  });
+  next();
+});
 app.use(helmet({ contentSecurityPolicy: false }));
 app.use(compression());
 app.use(express.json({ limit: "2mb" }));
 app.use(express.static(PUBLIC_DIR));
-app.use("/transcripts", express.static(TRANSCRIPTS));
+
+// Cookie (browser) or `Authorization: Bearer hz_…` (API token).
+app.use((req, _res, next) => {
+  if (!AUTH_ENABLED) { req.user = LOCAL_USER; return next(); }
+  const bearer = String(req.headers.authorization || "").match(/^Bearer\s+(\S+)$/i)?.[1];
+  req.user = bearer ? auth.verifyToken(bearer) : auth.verifyCookie(parseCookies(req.headers.cookie)[AUTH_COOKIE]);
+  next();
+});
+const requireAuth = (req, res, next) =>
+  req.user ? next() : res.status(401).json({ ok:false, error:"Sign in required." });
+const requireRole = (role) => (req, res, next) => {
+  if (!req.user) return res.status(401).json({ ok:false, error:"Sign in required." });
+  if (req.user.role !== role) return res.status(403).json({ ok:false, error:`Requires the '${role}' role.` });
+  next();
+};
 
 /* ---------------- Utils ---------------- */
+// `length: null` is for tasks that aren't drafts (JSON metadata, social posts):
+// tone only, no word-count target.
 function styleInstruction(tone = "balanced", length = "standard") {
   const toneMap = {
     balanced:      "Use a balanced, approachable professional tone.",
@@ -64,6 +256,7 @@ function styleInstruction(tone = "balanced", length = "standard") {
     detailed: "Target 1200–1500 words with rich detail and examples.",
     ultra:    "Target 2000+ words with exhaustive coverage."
   };
+  if (length === null) return toneMap[tone] || toneMap.balanced;
   return `${toneMap[tone] || toneMap.balanced} ${lengthMap[length] || lengthMap.standard}`;
 }
 function sseHeaders() {
@@ -75,12 +268,23 @@ function sseHeaders() {
   };
 }
 const escapeSSE = (s="") => String(s).replace(/\u0000/g, "");
-const delay = (ms) => new Promise(r => setTimeout(r, ms));
-function chunkForSSE(text = "", size = 200) {
-  const parts = [];
-  for (let i=0;i<text.length;i+=size) parts.push(text.slice(i, i+size));
-  return parts;
+// Named SSE event with a JSON payload (EventSource.onmessage ignores these).
+function writeSSEEvent(res, event, payload) {
+  res.write(`event: ${event}\ndata: ${escapeSSE(JSON.stringify({ type: event, ...payload }))}\n\n`);
+}
+// Failures go out as `event: failure` { code, error, retryable, retryAfter? } —
+// not "error", which EventSource reserves for its own connection errors.
+function writeSSEFailure(res, e) {
+  writeSSEEvent(res, "failure", describeError(e));
+  res.write(`data: [DONE]\n\n`);
+  res.end();
 }
+// `cache: false` in a body or `?cache=0` in a query asks for a fresh answer.
+const cacheOption = (v) => (v === false || /^(0|false|no|off)$/i.test(String(v ?? "")) ? false : undefined);
+// Route failures: 5xx and upstream trouble log as errors, bad input as warnings.
+const logFailure = (req, msg, e) => (req.log || log)[!e?.status || e.status >= 500 ? "error" : "warn"](msg, { err: e });
+const notConfigured = (reason) => upstreamError(`${reason} on server.`, { code: "not_configured", retryable: false });
+const delay = (ms) => new Promise(r => setTimeout(r, ms));
 
 // Path safety
 function safeBasename(name="") {
@@ -113,6 +317,7 @@ function extractUserRequest(raw = "") {
 const MAX_TOKEN_CAP = Math.max(128, Number(process.env.RESP_MAX_TOKENS_CAP || 3500));
 const TOKEN_MULT    = Math.min(10, Math.max(1, Number(process.env.TOKEN_MULTIPLIER || 1)));
 const AUTOCONTINUE_ROUNDS = Math.min(20, Math.max(1, Number(process.env.AUTOCONTINUE_ROUNDS || 6)));
+const HISTORY_TOKEN_BUDGET = Math.max(0, Number(process.env.HISTORY_TOKEN_BUDGET ?? 2500));
 
 function tokensForLength(length = "standard") {
   switch (String(length)) {
@@ -126,157 +331,247 @@ function tokensForLength(length = "standard") {
 function clampTokens(n) { return Math.max(64, Math.min(MAX_TOKEN_CAP, Number.isFinite(n) ? n : 1500)); }
 function applyMultiplier(n) { return clampTokens(Math.round(n * TOKEN_MULT)); }
 
+/* ---------------- Retrieval (data/index.json) ---------------- */
+const RAG_ENABLED   = String(process.env.RAG_ENABLED || "true").toLowerCase() !== "false";
+const RAG_TOP_K     = Math.min(12, Math.max(0, Number(process.env.RAG_TOP_K ?? 4)));
+const RAG_MIN_SCORE = Number(process.env.RAG_MIN_SCORE ?? 0.2);
+
+// Overlap with the back catalogue; ORIGINALITY_AUTO=false skips the check after streams.
+const ORIGINALITY_AUTO = String(process.env.ORIGINALITY_AUTO ?? "true").toLowerCase() !== "false";
+const ORIGINALITY = {
+  shingle: Math.min(20, Math.max(3, Number(process.env.ORIGINALITY_SHINGLE || 8))),
+  minOverlap: Number(process.env.ORIGINALITY_MIN_OVERLAP ?? 0.15),
+  minSimilarity: Number(process.env.ORIGINALITY_MIN_SIMILARITY ?? 0.92)
+};
+// Best-effort: a missing index or embedder yields a report that says so; other failures yield null.
+async function originalityFor(text, { signal } = {}) {
+  try { return await checkOriginality(text, { index: loadIndex(INDEX_FILE), embedder: getEmbedder(), signal, ...ORIGINALITY }); }
+  catch (e) { log.debug("originality check skipped", { err: e }); return null; }
+}
+
+// Pinned chunk ids arrive as an array (JSON body) or comma list (query string).
+function parseContextIds(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw || "").split(",");
+  return list.map(s => String(s).trim()).filter(Boolean).slice(0, 12);
+}
+
+// Pinned excerpts first, then top-k chunks for the user's request;
+// retrieval problems never block a draft.
+async function retrieveContext(userText, { signal, pinned = [] } = {}) {
+  const pinnedHits = getRecordsById(INDEX_FILE, parseContextIds(pinned));
+  if (!RAG_ENABLED || !RAG_TOP_K) return pinnedHits;
+  try {
+    const hits = await retrieve(userText, { indexFile: INDEX_FILE, k: RAG_TOP_K, minScore: RAG_MIN_SCORE, signal });
+    const seen = new Set(pinnedHits.map(h => h.id));
+    return [...pinnedHits, ...hits.filter(h => !seen.has(h.id))];
+  } catch (e) {
+    log.debug("retrieval skipped", { err: e });
+    return pinnedHits;
+  }
+}
+
+/* ---------------- Sessions ---------------- */
+// Explicit history wins; otherwise a session's stored turns are the history.
+function resolveHistory(store, sessionId, history) {
+  if (Array.isArray(history) && history.length) return history;
+  if (!sessionId) return [];
+  try { return store.get(sessionId)?.messages || []; } catch { return []; }
+}
+// Best-effort append; a storage problem never fails the draft.
+function recordTurn(store, sessionId, role, text, meta) {
+  if (!sessionId || !String(text || "").trim()) return null;
+  try { return store.append(sessionId, { role, text, meta })?.[0] || null; }
+  catch (e) { log.warn("session append failed", { sessionId, err: e }); return null; }
+}
+// A retried prompt (the session still ends with it, unanswered) reuses that turn.
+function recordPrompt(store, sessionId, text, meta) {
+  if (!sessionId) return null;
+  try {
+    const last = store.get(sessionId)?.messages.at(-1);
+    if (last?.role === "user" && last.text === String(text || "")) return last;
+  } catch { /* fall through to a new turn */ }
+  return recordTurn(store, sessionId, "user", text, meta);
+}
+// Regenerate: the reply becomes a new version instead of a new turn.
+function recordVersion(store, sessionId, messageId, text, meta) {
+  if (!sessionId || !messageId || !String(text || "").trim()) return null;
+  try { return store.addVersion(sessionId, messageId, { text, source: "regenerate", meta }); }
+  catch (e) { log.warn("session version failed", { sessionId, err: e }); return null; }
+}
+// Stored turns before the prompt that produced `messageId` (null if unknown).
+function historyBefore(store, sessionId, messageId) {
+  if (!sessionId) return null;
+  try {
+    const messages = store.get(sessionId)?.messages || [];
+    const at = messages.findIndex(m => m.id === messageId);
+    if (at < 0) return null;
+    const prompt = messages.slice(0, at).findLastIndex(m => m.role === "user");
+    return messages.slice(0, Math.max(0, prompt));
+  } catch { return null; }
+}
+
+/* ---------------- Personas ---------------- */
+// persona "none" opts out; unknown ids fall back to the default voice.
+function resolvePersona(id) {
+  if (String(id || "").toLowerCase() === "none") return null;
+  return getPersona(PERSONAS_DIR, id) || getPersona(PERSONAS_DIR, DEFAULT_PERSONA);
+}
+// Request tone/length win; otherwise the persona's defaults.
+function resolveVoice({ persona, tone, length } = {}) {
+  const p = resolvePersona(persona);
+  return {
+    persona: p,
+    tone:   String(tone   || p?.default_tone   || "balanced"),
+    length: String(length || p?.default_length || "standard")
+  };
+}
+
 /* ---------------- Prompt builders ---------------- */
-function buildMessages(userPrompt, tone, length) {
+function buildMessages(userPrompt, tone, length, { excerpts = [], history = [], persona = null } = {}) {
   const style = styleInstruction(tone, length);
   const system =
     "You are a focused blog-writing assistant. " +
     "Write clearly in Markdown with # Title and ## Sections, bullets, numbered steps, and practical advice. " +
     "Avoid emojis unless asked.";
+  const context = excerpts.length
+    ? "\n\nThe excerpts below come from the author's published posts. Use them for voice, recurring themes and facts; " +
+      "do not copy passages verbatim.\n\n" + formatExcerpts(excerpts)
+    : "";
+  const voice = persona ? `\n\n${personaInstruction(persona)}` : "";
+  const { turns, summary } = fitHistory(history, { budget: HISTORY_TOKEN_BUDGET });
   return [
-    { role: "system", content: `${system}\n\nStylistic guidance: ${style}` },
+    { role: "system", content: `${system}${voice}\n\nStylistic guidance: ${style}${context}` },
+    ...(summary ? [{ role: "system", content: summary }] : []),
+    ...turns,
     { role: "user",   content: userPrompt }
   ];
 }
-function messagesToPlainString(messages = []) {
-  return messages.map(m => {
-    const role = m.role.toUpperCase();
-    const content = typeof m.content === "string" ? m.content : JSON.stringify(m.content);
-    return `${role}:\n${content}`;
-  }).join("\n\n");
-}
 const lastUserText = (messages=[]) =>
   (messages.findLast?.(m => m.role === "user")?.content) ||
   [...messages].reverse().find(m => m.role === "user")?.content || "";
 
-/* ---------------- OpenAI (Responses) ---------------- */
-function formatOpenAIError(status, bodyText) {
-  try {
-    const j = JSON.parse(bodyText);
-    const msg = j?.error?.message || j?.message || bodyText;
-    return `OpenAI error ${status}: ${msg}`;
-  } catch {
-    return `OpenAI error ${status}: ${bodyText || "(no body)"}`;
-  }
-}
-async function fetchJSON(url, body, { signal } = {}) {
-  if (!HAS_KEY) throw new Error("OPENAI_API_KEY is missing");
-  const resp = await fetch(url, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify(body),
-    signal
+/* ---------------- LLM calls (provider-agnostic) ---------------- */
+// Single round through the configured provider
+// `meter` (see meterFor) is told about every round, so auto-continue is billed too;
+// answers from the response cache (or shared with an identical call) cost nothing.
+// `cache: false` asks for a fresh answer (lib/cache.js).
+async function callOnce(messages, tokens, { signal, meter, cache, round = 1 } = {}) {
+  const started = Date.now();
+  const maxTokens = clampTokens(tokens);
+  let result;
+  try { result = await LLM.complete(messages, { maxTokens, signal, cache, requestId: meter?.requestId }); }
+  catch (e) { traceRound(meter, { kind: "complete", round, maxTokens, durationMs: Date.now() - started, error: e }); throw e; }
+  const durationMs = Date.now() - started;
+  traceRound(meter, { kind: "complete", round, maxTokens, durationMs, result });
+  if (!result.cached && !result.coalesced) meter?.({ raw: result.raw, messages, text: result.text, incompleteReason: result.incompleteReason, durationMs });
+  return result;
+}
+
+// One log line + metrics per round, under the meter's request id and route.
+function traceRound(meter, { kind, round, maxTokens, durationMs, firstDeltaMs = null, result = null, error = null }) {
+  const route = meter?.route || "unknown";
+  const logger = meter?.log || log;
+  m.rounds.inc({ route, kind });
+  if (firstDeltaMs != null) m.firstDelta.observe({ route }, firstDeltaMs / 1000);
+  if (error) {
+    logger[error.code === "aborted" ? "info" : "warn"]("model round failed", { kind, round, maxTokens, durationMs, firstDeltaMs: firstDeltaMs ?? undefined, code: error.code, error: error.message });
+    return;
+  }
+  const u = extractUsage(result.raw);
+  logger.info("model round", {
+    kind, round, maxTokens, durationMs, firstDeltaMs: firstDeltaMs ?? undefined,
+    incompleteReason: result.incompleteReason || null, chars: String(result.text || "").length,
+    ...(u ? { inputTokens: u.input, outputTokens: u.output } : {}),
+    ...(result.cached ? { cached: true } : {}), ...(result.coalesced ? { coalesced: true } : {})
   });
-  const text = await resp.text().catch(()=> "");
-  if (!resp.ok) throw new Error(formatOpenAIError(resp.status, text));
-  try { return JSON.parse(text); } catch { return {}; }
-}
-
-/* ---- Smart text assembly & normalization ---- */
-function smartJoin(parts = []) {
-  let out = "";
-  for (const raw of parts) {
-    const s = String(raw ?? "");
-    if (!s) continue;
-    if (!out) { out = s; continue; }
-
-    const prev = out[out.length - 1];
-    const next = s[0];
-
-    const needSpace =
-      (/\w/.test(prev) && /\w/.test(next)) ||
-      (/[)\]]/.test(prev) && /\w/.test(next)) ||
-      (/[.,;:!?]/.test(prev) && !/[\s.,;:!?)\]]/.test(next));
-
-    out += (needSpace ? " " : "") + s;
-  }
-  return out.replace(/\s+([.,;:!?])/g, "$1");
-}
-function normalizeOutputText(s = "") {
-  if (!s) return s;
-  s = s.replace(/\r\n?/g, "\n");
-  s = s.replace(/([A-Za-z0-9])\.([A-Za-z])/g, "$1. $2");
-  s = s.replace(/([,;:!?])(?=[A-Za-z0-9(])/g, "$1 ");
-  s = s.replace(/\s+([.,;:!?])/g, "$1");
-  s = s.replace(/\be\. ?g\./gi, "e.g.");
-  s = s.replace(/\bi\. ?e\./gi, "i.e.");
-  s = s.replace(/\b([A-Z])\. ?([A-Z])\./g, "$1.$2.");
-  s = s.replace(/[ \t]{2,}/g, " ").replace(/\. \./g, ". ");
-  return s;
-}
-
-/* Robust extractor for Responses variants */
-function extractResponseText(data) {
-  if (typeof data?.output_text === "string" && data.output_text) return normalizeOutputText(data.output_text);
-  if (Array.isArray(data?.output_text) && data.output_text.length) return normalizeOutputText(data.output_text.join(""));
-
-  const chunks = [];
-  const push = (s) => { if (s && typeof s === "string") chunks.push(s); };
-
-  const visit = (node, role = null) => {
-    if (node == null) return;
-    if (typeof node === "string") { push(node); return; }
-    if (Array.isArray(node)) { for (const n of node) visit(n, role); return; }
-    if (typeof node !== "object") return;
-
-    const nextRole = typeof node.role === "string" ? node.role : role;
-    const ty = node.type;
-
-    for (const k of ["output_text", "text", "content", "value", "message"]) {
-      if (typeof node[k] === "string") {
-        if (nextRole === "assistant" || k === "output_text" || ty === "output_text" || ty === "output_text_delta" || ty === "text" || ty === "refusal") {
-          push(node[k]);
-        }
-      }
-    }
+}
 
-    if (node.delta) {
-      if (typeof node.delta === "string") push(node.delta);
-      else visit(node.delta, nextRole);
-    }
+// One summary line per auto-continued generation.
+function traceGeneration(meter, { kind, rounds, durationMs, incompleteReason, chars }) {
+  const route = meter?.route || "unknown";
+  m.generationRounds.observe({ route }, rounds);
+  m.generationSeconds.observe({ route, kind }, durationMs / 1000);
+  (meter?.log || log).info("generation", { kind, rounds, durationMs, incompleteReason: incompleteReason || null, chars });
+}
 
-    for (const k of ["output", "content", "message", "messages", "choices", "arguments", "items", "parts", "data"]) {
-      if (node[k]) visit(node[k], nextRole);
-    }
-  };
+// Auto-continue on max_output_tokens
+async function completeWithAutoContinue(messages, tokens, { rounds = AUTOCONTINUE_ROUNDS, meter, signal, cache } = {}) {
+  const started = Date.now();
+  let acc = "";
+  let baseMessages = messages;
+  let lastReason = null;
+  let used = 0;
+
+  for (let i = 0; i < Math.max(1, rounds); i++) {
+    if (i > 0) m.continued.inc({ route: meter?.route || "unknown" });
+    used = i + 1;
+    const { text, incompleteReason } = await callOnce(baseMessages, tokens, { meter, signal, cache, round: used });
+    if (text) acc += (acc ? "\n" : "") + text;
+    lastReason = incompleteReason;
 
-  visit(data, null);
+    if (incompleteReason !== "max_output_tokens") break;
 
-  const out = normalizeOutputText(smartJoin(chunks)).trim();
-  if (!out && DEBUG) {
-    try { console.log("ℹ️ Empty extract; raw head:", JSON.stringify(data).slice(0, 400)); } catch {}
+    baseMessages = [
+      ...messages,
+      { role: "assistant", content: text || "" },
+      { role: "user", content: "Continue from where you stopped. Keep the same structure and style." }
+    ];
+    tokens = clampTokens(Math.round(tokens * 1.25));
   }
-  return out;
-}
 
-function getIncompleteReason(data) {
-  if (!data || typeof data !== "object") return null;
-  if (data.status === "incomplete") return data?.incomplete_details?.reason || "unknown";
-  return null;
+  traceGeneration(meter, { kind: "complete", rounds: used, durationMs: Date.now() - started, incompleteReason: lastReason, chars: acc.length });
+  return { text: acc, incompleteReason: lastReason };
 }
 
-// Single call with string input
-async function callOnce(messages, tokens, { signal } = {}) {
-  const inputStr = messagesToPlainString(messages);
-  const body = { model: MODEL, input: inputStr, max_output_tokens: clampTokens(tokens) };
-  const data = await fetchJSON("https://api.openai.com/v1/responses", body, { signal });
-  const text = extractResponseText(data);
-  const reason = getIncompleteReason(data);
-  return { text, incompleteReason: reason, raw: data };
+// One streamed round: forwards each text delta through onDelta.
+// An aborted round has no usage payload; it is metered from what was streamed.
+async function streamOnce(messages, tokens, { signal, onDelta = () => {}, meter, cache, round = 1 } = {}) {
+  const started = Date.now();
+  const maxTokens = clampTokens(tokens);
+  let partial = "";
+  let firstDeltaMs = null;
+  try {
+    const result = await LLM.stream(messages, {
+      maxTokens, signal, cache, requestId: meter?.requestId,
+      onDelta: (d) => { firstDeltaMs ??= Date.now() - started; partial += d; onDelta(d); }
+    });
+    const durationMs = Date.now() - started;
+    traceRound(meter, { kind: "stream", round, maxTokens, durationMs, firstDeltaMs, result });
+    if (!result.cached && !result.coalesced) meter?.({ raw: result.raw, messages, text: result.text, incompleteReason: result.incompleteReason, durationMs });
+    return result;
+  } catch (e) {
+    const durationMs = Date.now() - started;
+    traceRound(meter, { kind: "stream", round, maxTokens, durationMs, firstDeltaMs, error: e });
+    if (signal?.aborted) meter?.({ raw: null, messages, text: partial, aborted: true, durationMs });
+    throw e;
+  }
 }
 
-// Auto-continue on max_output_tokens
-async function completeWithAutoContinue(messages, tokens, { rounds = AUTOCONTINUE_ROUNDS } = {}) {
+// Streamed auto-continue: rounds are chained into one continuous delta stream.
+async function streamWithAutoContinue(messages, tokens, { rounds = AUTOCONTINUE_ROUNDS, signal, onDelta = () => {}, meter, cache } = {}) {
+  const started = Date.now();
   let acc = "";
   let baseMessages = messages;
   let lastReason = null;
+  let used = 0;
 
   for (let i = 0; i < Math.max(1, rounds); i++) {
-    const { text, incompleteReason } = await callOnce(baseMessages, tokens);
-    if (text) acc += (acc ? "\n" : "") + text;
+    if (i > 0) m.continued.inc({ route: meter?.route || "unknown" });
+    used = i + 1;
+    let first = true;
+    const { text, incompleteReason } = await streamOnce(baseMessages, tokens, {
+      signal,
+      meter,
+      cache,
+      round: used,
+      onDelta: (d) => {
+        // Join the seam between rounds the same way smartJoin does.
+        if (first && acc) d = smartJoin([acc.slice(-1), d]).slice(1);
+        first = false;
+        acc += d;
+        onDelta(d);
+      }
+    });
     lastReason = incompleteReason;
 
     if (incompleteReason !== "max_output_tokens") break;
@@ -289,69 +584,343 @@ async function completeWithAutoContinue(messages, tokens, { rounds = AUTOCONTINU
     tokens = clampTokens(Math.round(tokens * 1.25));
   }
 
+  traceGeneration(meter, { kind: "stream", rounds: used, durationMs: Date.now() - started, incompleteReason: lastReason, chars: acc.length });
   return { text: acc, incompleteReason: lastReason };
 }
 
+/* ---------------- Limits & usage ---------------- */
+// RATE_LIMIT_PER_MIN: generation requests per user (or IP) per minute.
+// DAILY_TOKEN_QUOTA: input+output tokens per user per UTC day (0 = unlimited).
+const RATE_LIMIT_PER_MIN = Math.max(0, Number(process.env.RATE_LIMIT_PER_MIN ?? 20));
+const DAILY_TOKEN_QUOTA  = Math.max(0, Number(process.env.DAILY_TOKEN_QUOTA ?? 250000));
+const limiter = createRateLimiter({ limit: RATE_LIMIT_PER_MIN, windowMs: 60_000 });
+const usage = createUsageLedger(path.join(DATA_DIR, "usage"), { pricing: parsePricing(process.env.MODEL_PRICING, { log }) });
+
+// The shared local user (auth off) is limited per client address instead.
+const rateKey = (req) => (req.user && req.user.id !== LOCAL_USER.id ? `u:${req.user.id}` : `ip:${req.ip}`);
+const nextUtcMidnight = () => new Date(Date.parse(dayOf()) + 86400_000).toISOString();
+
+function quotaStatus(user) {
+  const used = usage.tokensToday(user?.id);
+  return { daily: DAILY_TOKEN_QUOTA || null, used, remaining: DAILY_TOKEN_QUOTA ? Math.max(0, DAILY_TOKEN_QUOTA - used) : null, resetAt: nextUtcMidnight() };
+}
+
+// 429 body: { ok:false, error, code: "rate_limited"|"quota_exceeded", retryAfter (s), limit, resetAt }
+function limitExceeded(req) {
+  const rl = limiter.take(rateKey(req));
+  if (!rl.ok) {
+    return { code: "rate_limited", error: `Too many requests: limit is ${rl.limit} per minute. Try again in ${rl.retryAfter}s.`, retryAfter: rl.retryAfter, limit: rl.limit, resetAt: rl.resetAt };
+  }
+  const q = quotaStatus(req.user);
+  if (q.daily && q.used >= q.daily) {
+    const retryAfter = Math.ceil((Date.parse(q.resetAt) - Date.now()) / 1000);
+    return { code: "quota_exceeded", error: `Daily token quota reached (${q.used.toLocaleString("en-US")} / ${q.daily.toLocaleString("en-US")}). It resets at midnight UTC.`, retryAfter, limit: q.daily, resetAt: q.resetAt };
+  }
+  return null;
+}
+
+// EventSource (GET /api/stream) can't read a 429 body, so it gets the same
+// payload as a `limit` event on a normal SSE response.
+function limitGeneration(req, res, next) {
+  const hit = limitExceeded(req);
+  if (!hit) return next();
+  res.setHeader("Retry-After", String(hit.retryAfter));
+  if (req.method === "GET" && req.path === "/api/stream") {
+    res.writeHead(200, sseHeaders());
+    writeSSEEvent(res, "limit", hit);
+    res.write(`data: ⚠️ ${hit.error}\n\n`);
+    res.write(`data: [DONE]\n\n`);
+    return res.end();
+  }
+  res.status(429).json({ ok:false, ...hit });
+}
+
+// One ledger line per model round; responses without `usage` are estimated.
+// The meter also carries the request's id, route and logger, so the model
+// helpers trace their rounds under the same request id as the access log.
+function meterFor(req, route) {
+  const requestId = req.id || crypto.randomUUID();
+  let round = 0;
+  const meter = ({ raw, messages, text, aborted = false, incompleteReason = null, durationMs = null }) => {
+    const u = extractUsage(raw);
+    const input  = u ? u.input  : estimateTokens(messagesToPlainString(messages));
+    const output = u ? u.output : estimateTokens(text || "");
+    m.tokens.inc({ route, type: "input" }, input);
+    m.tokens.inc({ route, type: "output" }, output);
+    try {
+      usage.record({
+        user: req.user?.id || null,
+        username: req.user?.username || null,
+        model: raw?.model || LLM.model,
+        provider: LLM.name,
+        route,
+        requestId,
+        round: ++round,
+        input,
+        output,
+        ...(u ? {} : { estimated: true }),
+        ...(aborted ? { aborted: true } : {}),
+        ...(incompleteReason ? { incompleteReason } : {}),
+        ...(durationMs != null ? { durationMs } : {})
+      });
+    } catch (e) { meter.log.warn("usage record failed", { err: e }); }
+  };
+  return Object.assign(meter, { requestId, route, log: (req.log || log.child({ requestId })).child({ route }) });
+}
+
 /* ---------------- Health + config ---------------- */
 app.get("/health", (_req, res) => res.json({
   ok: true,
   port: String(PORT),
-  model: MODEL,
+  model: LLM.model,
   key: HAS_KEY ? "present" : "missing",
-  api_mode: IS_GPT5 ? "responses" : "chat",
+  provider: LLM.name,
+  api_mode: LLM.api_mode,
+  base_url: LLM.baseUrl,
+  rag: { enabled: RAG_ENABLED, top_k: RAG_TOP_K, min_score: RAG_MIN_SCORE },
+  originality: { auto: ORIGINALITY_AUTO, ...ORIGINALITY },
+  auth: AUTH_ENABLED,
+  limits: { RATE_LIMIT_PER_MIN, DAILY_TOKEN_QUOTA },
+  jobs: jobs.stats(),
+  upstream: LLM.health(),
+  cache: LLM.cacheStats(),
   caps: {
     RESP_MAX_TOKENS_CAP: MAX_TOKEN_CAP,
     TOKEN_MULTIPLIER: TOKEN_MULT,
-    AUTOCONTINUE_ROUNDS
+    AUTOCONTINUE_ROUNDS,
+    HISTORY_TOKEN_BUDGET
   }
 }));
+
+// Prometheus scrape target. Public like /health unless METRICS_TOKEN is set
+// (then `Authorization: Bearer <token>`).
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+app.get("/metrics", (req, res) => {
+  if (METRICS_TOKEN) {
+    const given = Buffer.from(String(req.headers.authorization || "").replace(/^Bearer\s+/i, ""));
+    const want = Buffer.from(METRICS_TOKEN);
+    if (given.length !== want.length || !crypto.timingSafeEqual(given, want)) return res.status(401).type("text/plain").send("Unauthorized\n");
+  }
+  res.type(metrics.contentType).send(metrics.render());
+});
+
 app.get("/config", (_req, res) => res.json({
-  model: MODEL, demo: DEMO, api_mode: IS_GPT5 ? "responses" : "chat_completions"
+  model: LLM.model, demo: LLM.name === "mock", provider: LLM.name, api_mode: LLM.api_mode
 }));
 
-/* ---------------- Verify endpoint ---------------- */
-app.get("/api/test-gpt5", async (_req, res) => {
+/* ---------------- Auth API ---------------- */
+function setAuthCookie(req, res, value, maxAge) {
+  const secure = req.secure || req.headers["x-forwarded-proto"] === "https";
+  res.setHeader("Set-Cookie", `${AUTH_COOKIE}=${encodeURIComponent(value)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure ? "; Secure" : ""}`);
+}
+const authFail = (res, e) => res.status(e.status || 500).json({ ok:false, error: String(e.message || e) });
+
+// Proxied requests never count as local, whatever the socket says.
+const isLoopback = (req) => !req.headers["x-forwarded-for"]
+  && ["127.0.0.1", "::1", "::ffff:127.0.0.1"].includes(req.socket.remoteAddress);
+const setupTokenOk = (given) => {
+  const a = Buffer.from(String(given || "")), b = Buffer.from(SETUP_TOKEN);
+  return !!SETUP_TOKEN && a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+app.get("/api/auth/me", (req, res) => {
+  const setupRequired = AUTH_ENABLED && !auth.hasUsers();
+  res.json({
+    ok: true,
+    authEnabled: AUTH_ENABLED,
+    setupRequired,
+    setupNeedsToken: setupRequired && !isLoopback(req),
+    user: req.user || null
+  });
+});
+// First account on an empty store becomes the admin.
+app.post("/api/auth/setup", (req, res) => {
   try {
-    if (!HAS_KEY) return res.status(400).json({ ok:false, error:"OPENAI_API_KEY missing" });
-    if (!IS_GPT5) return res.status(400).json({ ok:false, error:`Model '${MODEL}' is not GPT-5.*` });
+    if (!AUTH_ENABLED || auth.hasUsers()) return res.status(409).json({ ok:false, error:"Setup already done." });
+    const { username, password, setupToken } = req.body || {};
+    if (!isLoopback(req) && !setupTokenOk(setupToken)) {
+      return res.status(403).json({ ok:false, error:"Wrong or missing setup token. Use the one in the server log, or set ADMIN_USERNAME/ADMIN_PASSWORD." });
+    }
+    const user = auth.createUser({ username, password, role: "admin" });
+    adoptLegacyFiles(user);
+    setAuthCookie(req, res, auth.issueCookie(user), auth.cookieMaxAge);
+    res.status(201).json({ ok:true, user });
+  } catch (e) { authFail(res, e); }
+});
+app.post("/api/auth/login", (req, res) => {
+  if (!AUTH_ENABLED) return res.json({ ok:true, user: LOCAL_USER });
+  const { username, password } = req.body || {};
+  const user = auth.login(username, password);
+  if (!user) return res.status(401).json({ ok:false, error:"Wrong username or password." });
+  setAuthCookie(req, res, auth.issueCookie(user), auth.cookieMaxAge);
+  res.json({ ok:true, user });
+});
+app.post("/api/auth/logout", (req, res) => {
+  if (req.user && req.body?.everywhere && AUTH_ENABLED) auth.logoutEverywhere(req.user.id);
+  setAuthCookie(req, res, "", 0);
+  res.json({ ok:true });
+});
 
-    const data = await fetchJSON("https://api.openai.com/v1/responses", {
-      model: MODEL,
-      input: "Say: hello from gpt-5-nano",
-      max_output_tokens: 64
-    });
+app.use("/api", requireAuth);
+
+app.post("/api/auth/password", (req, res) => {
+  try {
+    const { current, password } = req.body || {};
+    if (!auth.login(req.user.username, current)) return res.status(403).json({ ok:false, error:"Current password is wrong." });
+    const user = auth.updateUser(req.user.id, { password });
+    setAuthCookie(req, res, auth.issueCookie(user), auth.cookieMaxAge);
+    res.json({ ok:true });
+  } catch (e) { authFail(res, e); }
+});
+app.get("/api/auth/tokens", (req, res) => res.json({ ok:true, tokens: req.user.tokens || [] }));
+app.post("/api/auth/tokens", (req, res) => {
+  if (!AUTH_ENABLED) return res.status(409).json({ ok:false, error:"Auth is disabled." });
+  const token = auth.createToken(req.user.id, req.body?.name);
+  res.status(201).json({ ok:true, ...token });
+});
+app.delete("/api/auth/tokens/:id", (req, res) => {
+  if (!auth.revokeToken(req.user.id, req.params.id)) return res.status(404).json({ ok:false, error:"Not found" });
+  res.json({ ok:true });
+});
 
-    const output = extractResponseText(data) || "";
-    res.json({ ok:true, output, raw: data });
+// User management (admin)
+app.get("/api/users", requireRole("admin"), (_req, res) => res.json({ ok:true, users: auth.listUsers() }));
+app.post("/api/users", requireRole("admin"), (req, res) => {
+  try {
+    const { username, password, role = "writer" } = req.body || {};
+    res.status(201).json({ ok:true, user: auth.createUser({ username, password, role }) });
+  } catch (e) { authFail(res, e); }
+});
+app.patch("/api/users/:id", requireRole("admin"), (req, res) => {
+  try {
+    const { role, password } = req.body || {};
+    const user = auth.updateUser(req.params.id, { role, password });
+    if (!user) return res.status(404).json({ ok:false, error:"Not found" });
+    res.json({ ok:true, user });
+  } catch (e) { authFail(res, e); }
+});
+app.delete("/api/users/:id", requireRole("admin"), (req, res) => {
+  try {
+    if (req.params.id === req.user.id) return res.status(409).json({ ok:false, error:"You can't delete your own account." });
+    if (!auth.deleteUser(req.params.id)) return res.status(404).json({ ok:false, error:"Not found" });
+    res.json({ ok:true });
+  } catch (e) { authFail(res, e); }
+});
+
+/* ---------------- Personas ---------------- */
+app.get("/api/personas", (_req, res) => {
+  try {
+    const personas = loadPersonas(PERSONAS_DIR).map(personaSummary);
+    const fallback = getPersona(PERSONAS_DIR, DEFAULT_PERSONA);
+    res.json({ ok:true, default: fallback?.id || null, personas });
   } catch (e) {
     res.status(500).json({ ok:false, error: String(e.message || e) });
   }
 });
 
+/* ---------------- Prompt templates (data/templates.json) ---------------- */
+// Shared slash-menu templates. The client renders one through /render, then
+// sends { template: { id, vars } } with the message so the turn records it.
+// Everyone can use them; only admins change the library.
+const templates = createTemplateStore(TEMPLATES_FILE);
+const templateFail = (res, e) => res.status(e.status || 500).json({ ok:false, error: String(e.message || e) });
+
+// What a message keeps about the template that produced it (null if unknown).
+function templateMeta(ref) {
+  if (!ref?.id) return null;
+  try {
+    const t = templates.get(ref.id);
+    if (!t) return null;
+    const vars = Object.fromEntries(t.variables.map(v => [v.name, String(ref.vars?.[v.name] ?? v.default ?? "").slice(0, 500)]));
+    return { id: t.id, name: t.name, vars };
+  } catch { return null; }
+}
+
+app.get("/api/templates", (_req, res) => {
+  try { res.json({ ok:true, templates: templates.list() }); }
+  catch (e) { templateFail(res, e); }
+});
+app.get("/api/templates/export", (_req, res) => {
+  try {
+    res.attachment(`hanza-templates-${new Date().toISOString().slice(0, 10)}.json`);
+    res.type("application/json").send(JSON.stringify(templates.export(), null, 2));
+  } catch (e) { templateFail(res, e); }
+});
+// { templates: [...], replace? } — the export file can be posted as is.
+app.post("/api/templates/import", requireRole("admin"), (req, res) => {
+  try {
+    const body = req.body || {};
+    const out = templates.import(Array.isArray(body) ? body : body.templates, { replace: body.replace === true });
+    res.json({ ok:true, ...out, templates: templates.list() });
+  } catch (e) { templateFail(res, e); }
+});
+app.get("/api/templates/:id", (req, res) => {
+  try {
+    const t = templates.get(req.params.id);
+    if (!t) return res.status(404).json({ ok:false, error:"Not found" });
+    res.json({ ok:true, template: t });
+  } catch (e) { templateFail(res, e); }
+});
+app.post("/api/templates", requireRole("admin"), (req, res) => {
+  try { res.status(201).json({ ok:true, template: templates.create(req.body || {}) }); }
+  catch (e) { templateFail(res, e); }
+});
+app.put("/api/templates/:id", requireRole("admin"), (req, res) => {
+  try {
+    const t = templates.update(req.params.id, req.body || {});
+    if (!t) return res.status(404).json({ ok:false, error:"Not found" });
+    res.json({ ok:true, template: t });
+  } catch (e) { templateFail(res, e); }
+});
+app.delete("/api/templates/:id", requireRole("admin"), (req, res) => {
+  try {
+    if (!templates.remove(req.params.id)) return res.status(404).json({ ok:false, error:"Not found" });
+    res.json({ ok:true });
+  } catch (e) { templateFail(res, e); }
+});
+// { vars } → { text, vars, template } with defaults filled in.
+app.post("/api/templates/:id/render", (req, res) => {
+  try {
+    const t = templates.get(req.params.id);
+    if (!t) return res.status(404).json({ ok:false, error:"Not found" });
+    const { text, vars } = renderTemplate(t, req.body?.vars || {});
+    res.json({ ok:true, text, vars, template: { id: t.id, name: t.name, defaults: t.defaults } });
+  } catch (e) { templateFail(res, e); }
+});
+
+/* ---------------- Verify endpoint ---------------- */
+app.get("/api/test-gpt5", requireRole("admin"), limitGeneration, async (req, res) => {
+  try {
+    const notReady = LLM.check();
+    if (notReady) throw notConfigured(notReady);
+
+    const { text, raw } = await callOnce([{ role: "user", content: `Say: hello from ${LLM.model}` }], 64, { meter: meterFor(req, "test") });
+    res.json({ ok:true, provider: LLM.name, output: text || "", raw });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok:false, ...describeError(e) });
+  }
+});
+
 /* ---------------- /api/raw: dump raw Responses JSON for debugging ---------------- */
-app.post("/api/raw", async (req, res) => {
+app.post("/api/raw", requireRole("admin"), limitGeneration, async (req, res) => {
   try {
     const {
       message = "",
-      tone = "balanced",
-      length = "standard",
       rounds = 1,
-      max_output_tokens
+      max_output_tokens,
+      history = [],
+      context = [],
+      cache
     } = req.body || {};
     if (!message) return res.status(400).json({ ok:false, error:"Missing 'message'." });
+    const { persona, tone, length } = resolveVoice(req.body);
 
-    if (DEMO) {
-      return res.json({
-        ok: true,
-        note: "DEMO_MODE=true: not calling OpenAI",
-        sampleRequest: { model: MODEL, message, tone, length, rounds, max_output_tokens }
-      });
-    }
-    if (!HAS_KEY) return res.status(400).json({ ok:false, error:"OPENAI_API_KEY missing" });
-    if (!IS_GPT5) return res.status(400).json({ ok:false, error:`OPENAI_MODEL='${MODEL}' is not a GPT-5 model` });
+    const notReady = LLM.check();
+    if (notReady) throw notConfigured(notReady);
 
     const userText = extractUserRequest(message);
-    const baseMsgs = buildMessages(userText, tone, length);
+    const excerpts = await retrieveContext(userText, { pinned: context });
+    const baseMsgs = buildMessages(userText, tone, length, { excerpts, history, persona });
 
     let tokens = clampTokens(max_output_tokens ?? applyMultiplier(tokensForLength(length)));
     const responses = [];
@@ -360,16 +929,16 @@ app.post("/api/raw", async (req, res) => {
 
     let msgs = baseMsgs;
     const ROUNDS = Math.min(20, Math.max(1, Number(rounds || 1)));
+    const meter = meterFor(req, "raw");
 
     for (let i = 0; i < ROUNDS; i++) {
-      const body = { model: MODEL, input: messagesToPlainString(msgs), max_output_tokens: tokens };
-      const data = await fetchJSON("https://api.openai.com/v1/responses", body);
-      responses.push(data);
+      const { text, incompleteReason: reason, raw } = await callOnce(msgs, tokens, { meter, cache: cacheOption(cache) });
+      responses.push(raw);
 
-      const piece = extractResponseText(data) || "";
+      const piece = text || "";
       if (piece) accText += (accText ? "\n" : "") + piece;
 
-      incompleteReason = getIncompleteReason(data);
+      incompleteReason = reason;
       if (incompleteReason !== "max_output_tokens") break;
 
       // prepare next round (auto-continue style)
@@ -383,210 +952,739 @@ app.post("/api/raw", async (req, res) => {
 
     res.json({
       ok: true,
-      model: MODEL,
+      provider: LLM.name,
+      model: LLM.model,
       roundsUsed: responses.length,
       tokenBudgetStart: clampTokens(max_output_tokens ?? applyMultiplier(tokensForLength(length))),
       tokenBudgetFinal: tokens,
       incompleteReason: incompleteReason || null,
+      sources: sourceSummary(excerpts),
       sample_text: accText.slice(0, 2000),
       responses
     });
   } catch (e) {
-    if (DEBUG) console.error("api/raw error:", e);
-    res.status(500).json({ ok:false, error: String(e.message || e) });
+    logFailure(req, "raw failed", e);
+    res.status(e.status || 500).json({ ok:false, ...describeError(e) });
   }
 });
 
 /* GET convenience (single-round) --------------------------------------------- */
-app.get("/api/raw", async (req, res) => {
+app.get("/api/raw", requireRole("admin"), limitGeneration, async (req, res) => {
   try {
     const message = String(req.query.message || "");
-    const tone    = String(req.query.tone || "balanced");
-    const length  = String(req.query.length || "standard");
     if (!message) return res.status(400).json({ ok:false, error:"Missing 'message'." });
+    const { persona, tone, length } = resolveVoice(req.query);
 
-    if (DEMO) {
-      return res.json({ ok:true, note:"DEMO_MODE=true", sampleRequest:{ model: MODEL, message, tone, length } });
-    }
-    if (!HAS_KEY) return res.status(400).json({ ok:false, error:"OPENAI_API_KEY missing" });
-    if (!IS_GPT5) return res.status(400).json({ ok:false, error:`OPENAI_MODEL='${MODEL}' is not a GPT-5 model` });
+    const notReady = LLM.check();
+    if (notReady) throw notConfigured(notReady);
 
-    const data = await fetchJSON("https://api.openai.com/v1/responses", {
-      model: MODEL,
-      input: messagesToPlainString(buildMessages(extractUserRequest(message), tone, length)),
-      max_output_tokens: clampTokens(applyMultiplier(tokensForLength(length)))
-    });
+    const userText = extractUserRequest(message);
+    const excerpts = await retrieveContext(userText, { pinned: req.query.context });
+    const { text, incompleteReason, raw, cached = false } = await callOnce(
+      buildMessages(userText, tone, length, { excerpts, persona }),
+      applyMultiplier(tokensForLength(length)),
+      { meter: meterFor(req, "raw"), cache: cacheOption(req.query.cache) }
+    );
 
     res.json({
       ok: true,
-      sample_text: extractResponseText(data),
-      incompleteReason: getIncompleteReason(data),
-      response: data
+      provider: LLM.name,
+      sources: sourceSummary(excerpts),
+      sample_text: text,
+      incompleteReason,
+      cached,
+      response: raw
     });
   } catch (e) {
-    if (DEBUG) console.error("api/raw GET error:", e);
-    res.status(500).json({ ok:false, error: String(e.message || e) });
+    logFailure(req, "raw failed (GET)", e);
+    res.status(e.status || 500).json({ ok:false, ...describeError(e) });
   }
 });
 
 
 /* ---------------- /api/chat ---------------- */
-app.post("/api/chat", async (req, res) => {
+app.post("/api/chat", limitGeneration, async (req, res) => {
   try {
-    const { message, tone = "balanced", length = "standard" } = req.body || {};
+    const { message, history = [], context = [], sessionId = null, template = null, cache } = req.body || {};
     if (!message || typeof message !== "string") return res.status(400).json({ error: "Missing 'message'." });
-
-    if (DEMO) {
-      const title = `Quick draft: ${message.slice(0, 60)}`;
-      const demo = `# ${title}\n\n- Demo mode.\n- Set DEMO_MODE=false to use the model.`;
-      return res.json({ reply: demo });
-    }
-    if (!HAS_KEY) return res.json({ reply: "⚠️ OPENAI_API_KEY missing on server." });
-    if (!IS_GPT5) return res.json({ reply: `⚠️ OPENAI_MODEL='${MODEL}' is not a GPT-5 model. Set OPENAI_MODEL=gpt-5-nano in .env.` });
+    const { persona, tone, length } = resolveVoice(req.body);
 
     const userText = extractUserRequest(message);
-    const messages = buildMessages(userText, tone, length);
+    const excerpts = await retrieveContext(userText, { pinned: context });
+    const sources  = sourceSummary(excerpts);
+
+    const notReady = LLM.check();
+    if (notReady) throw notConfigured(notReady);
 
+    const { sessions: store } = workspaceFor(req.user);
+    const messages = buildMessages(userText, tone, length, { excerpts, history: resolveHistory(store, sessionId, history), persona });
+    const used = templateMeta(template);
+    const userMsg = recordPrompt(store, sessionId, message, used ? { template: used } : undefined);
+
+    const ac = new AbortController();
+    res.on("close", () => { if (!res.writableEnded) ac.abort(); });
     const tokenBudget = applyMultiplier(tokensForLength(length));
-    const { text, incompleteReason } = await completeWithAutoContinue(messages, tokenBudget, { rounds: AUTOCONTINUE_ROUNDS });
+    const { text, incompleteReason } = await completeWithAutoContinue(messages, tokenBudget, { rounds: AUTOCONTINUE_ROUNDS, meter: meterFor(req, "chat"), signal: ac.signal, cache: cacheOption(cache) });
 
-    const reply = text || "⚠️ No content returned by GPT-5.";
+    const reply = text || "⚠️ No content returned by the model.";
     const meta = incompleteReason ? `\n\n> _Note: model stopped early (${incompleteReason}); auto-continued ${AUTOCONTINUE_ROUNDS}×._` : "";
-    res.json({ reply: reply + (text ? "" : meta) });
+    const botMsg = recordTurn(store, sessionId, "assistant", text, { sources, persona: persona?.id || null, tone, length, incompleteReason, ...(used ? { template: used } : {}) });
+    res.json({ reply: reply + (text ? "" : meta), sources, sessionId, userMessageId: userMsg?.id || null, messageId: botMsg?.id || null });
   } catch (err) {
-    if (DEBUG) console.error("Server error:", err);
-    res.json({ reply: `⚠️ ${String(err.message || err)}` });
+    logFailure(req, "chat failed", err);
+    // `reply` keeps older callers that only print it working.
+    res.status(err.status || 500).json({ reply: `⚠️ ${String(err.message || err)}`, ...describeError(err) });
   }
 });
 
-/* ---------------- /api/stream (pseudo-stream) ---------------- */
-async function handleStream(message, tone, length, _req, res) {
+/* ---------------- /api/stream ---------------- */
+// Forwarded in the Responses delta shape so whitespace survives the client's trim().
+const writeDelta = (res, delta) => res.write(`data: ${escapeSSE(JSON.stringify({ type: "response.output_text.delta", delta }))}\n\n`);
+
+// `regenerate` (an assistant message id) redrafts that reply as a new version
+// and, like `cache: false`, skips the response cache.
+async function handleStream(message, tone, length, req, res, { history = [], persona = null, context = [], sessionId = null, regenerate = null, template = null, cache } = {}) {
   res.writeHead(200, sseHeaders());
   if (!message) { res.write(`data: Missing 'message'.\n\n`); res.write(`data: [DONE]\n\n`); return res.end(); }
 
-  if (DEMO) {
-    const text = `# Demo stream\n\nYou sent: ${message}`;
-    for (const ch of chunkForSSE(text, 180)) { res.write(`data: ${escapeSSE(ch)}\n\n`); await delay(8); }
-    res.write(`data: [DONE]\n\n`); return res.end();
-  }
-  if (!HAS_KEY) { res.write(`data: ⚠️ OPENAI_API_KEY missing.\n\n`); res.write(`data: [DONE]\n\n`); return res.end(); }
-  if (!IS_GPT5) { res.write(`data: ⚠️ Set OPENAI_MODEL=gpt-5-nano.\n\n`); res.write(`data: [DONE]\n\n`); return res.end(); }
-
   const userText = extractUserRequest(message);
-  const messages = buildMessages(userText, tone, length);
-
+  const excerpts = await retrieveContext(userText, { pinned: context });
+  if (excerpts.length) writeSSEEvent(res, "sources", { sources: sourceSummary(excerpts) });
+
+  const notReady = LLM.check();
+  if (notReady) return writeSSEFailure(res, notConfigured(notReady));
+
+  const { sessions: store } = workspaceFor(req.user);
+  const prior = regenerate ? historyBefore(store, sessionId, regenerate) : null;
+  const messages = buildMessages(userText, tone, length, { excerpts, history: prior || resolveHistory(store, sessionId, history), persona });
+  const used = templateMeta(template);
+  const userMsg = regenerate ? null : recordPrompt(store, sessionId, message, used ? { template: used } : undefined);
+  const turnMeta = { sources: sourceSummary(excerpts), persona: persona?.id || null, tone, length, ...(used ? { template: used } : {}) };
+  const recordReply = (text, meta) => regenerate
+    ? recordVersion(store, sessionId, regenerate, text, meta)
+    : recordTurn(store, sessionId, "assistant", text, meta);
+
+  // Client disconnect / Stop button aborts the upstream request.
+  const ac = new AbortController();
+  res.on("close", () => { if (!res.writableEnded) ac.abort(); });
+
+  let streamed = "";
   try {
     const tokenBudget = applyMultiplier(tokensForLength(length));
-    const { text, incompleteReason } = await completeWithAutoContinue(messages, tokenBudget, { rounds: AUTOCONTINUE_ROUNDS });
-    const out = text && String(text).trim();
-    if (!out) {
-      res.write(`data: ⚠️ No content returned by GPT-5.\n\n`);
-      res.write(`data: [DONE]\n\n`);
-      return res.end();
-    }
-    for (const part of chunkForSSE(out, 200)) res.write(`data: ${escapeSSE(part)}\n\n`);
-    if (incompleteReason) res.write(`data: \n\n> _Auto-continued due to ${incompleteReason}._\n\n`);
+    const { text, incompleteReason } = await streamWithAutoContinue(messages, tokenBudget, {
+      rounds: AUTOCONTINUE_ROUNDS,
+      signal: ac.signal,
+      meter: meterFor(req, "stream"),
+      cache: regenerate ? false : cacheOption(cache),
+      onDelta: (d) => { streamed += d; writeDelta(res, d); }
+    });
+    if (!String(text || "").trim()) return writeSSEFailure(res, upstreamError("No content returned by the model.", { code: "empty_response", retryable: true }));
+    if (incompleteReason) writeDelta(res, `\n\n> _Auto-continued due to ${incompleteReason}._`);
+    const originality = ORIGINALITY_AUTO && String(text || "").trim() ? await originalityFor(text, { signal: ac.signal }) : null;
+    if (originality) writeSSEEvent(res, "originality", originality);
+    const botMsg = recordReply(text, { ...turnMeta, incompleteReason, originality: originalitySummary(originality) });
+    if (sessionId) writeSSEEvent(res, "session", { sessionId, userMessageId: userMsg?.id || null, messageId: botMsg?.id || null, versionId: regenerate ? botMsg?.version || null : null });
     res.write(`data: [DONE]\n\n`);
     res.end();
   } catch (e) {
-    if (DEBUG) console.error("OpenAI stream error:", e);
-    res.write(`data: ⚠️ ${String(e.message || e)}\n\n`);
-    res.write(`data: [DONE]\n\n`);
-    res.end();
+    if (ac.signal.aborted) {
+      // Keep what the user saw before pressing Stop.
+      recordReply(streamed, { ...turnMeta, aborted: true });
+      req.log.info("stream aborted by client", { chars: streamed.length });
+      return;
+    }
+    logFailure(req, "stream failed", e);
+    writeSSEFailure(res, e);
   }
 }
 
-app.get("/api/stream", async (req, res) => {
+app.get("/api/stream", limitGeneration, async (req, res) => {
   try {
     const message = String(req.query.message || "");
-    const tone    = String(req.query.tone || "balanced");
-    const length  = String(req.query.length || "standard");
-    await handleStream(message, tone, length, req, res);
+    const { persona, tone, length } = resolveVoice(req.query);
+    await handleStream(message, tone, length, req, res, { persona, context: req.query.context, sessionId: req.query.sessionId || null, cache: req.query.cache });
   } catch (err) {
-    if (DEBUG) console.error("Stream server error (GET):", err);
-    try { res.write(`data: ⚠️ Server error while streaming.\n\ndata: [DONE]\n\n`); res.end(); } catch {}
+    logFailure(req, "stream failed (GET)", err);
+    try { writeSSEFailure(res, err); } catch {}
   }
 });
-app.post("/api/stream", async (req, res) => {
+app.post("/api/stream", limitGeneration, async (req, res) => {
   try {
-    const { message = "", tone = "balanced", length = "standard" } = req.body || {};
-    await handleStream(String(message), String(tone), String(length), req, res);
+    const { message = "", history = [], context = [], sessionId = null, regenerate = null, template = null, cache } = req.body || {};
+    const { persona, tone, length } = resolveVoice(req.body);
+    await handleStream(String(message), tone, length, req, res, { history, persona, context, sessionId, regenerate, template, cache });
   } catch (err) {
-    if (DEBUG) console.error("Stream server error (POST):", err);
-    try { res.writeHead(200, sseHeaders()); res.write(`data: ⚠️ Server error while streaming.\n\ndata: [DONE]\n\n`); res.end(); } catch {}
+    logFailure(req, "stream failed (POST)", err);
+    try { if (!res.headersSent) res.writeHead(200, sseHeaders()); writeSSEFailure(res, err); } catch {}
   }
 });
 
-/* ---------------- Save/list/delete transcripts ---------------- */
-app.post("/api/save", async (req, res) => {
+/* ---------------- Outline-first drafting (detailed / ultra) ---------------- */
+// Step 1: POST /api/outline → { outline } for the user to edit and approve.
+app.post("/api/outline", limitGeneration, async (req, res) => {
   try {
-    const { transcript = [], format = "pdf", title = "hanza_session" } = req.body || {};
-    if (!Array.isArray(transcript) || !transcript.length) return res.json({ ok:false, error:"empty transcript" });
-    if (transcript.length > 2000) return res.status(413).json({ ok:false, error:"transcript too large" });
+    const { message = "", context = [] } = req.body || {};
+    if (!String(message).trim()) return res.status(400).json({ ok:false, error:"Missing 'message'." });
+    const { persona, tone, length } = resolveVoice(req.body);
+
+    const notReady = LLM.check();
+    if (notReady) throw notConfigured(notReady);
+
+    const userText = extractUserRequest(message);
+    const excerpts = await retrieveContext(userText, { pinned: context });
+    const messages = buildMessages(outlineRequest(userText, { length }), tone, length, { excerpts, persona });
+    const ac = new AbortController();
+    res.on("close", () => { if (!res.writableEnded) ac.abort(); });
+    const { text } = await completeWithAutoContinue(messages, 1200, { rounds: 2, meter: meterFor(req, "outline"), signal: ac.signal });
+    res.json({ ok:true, outline: parseOutline(text), sources: sourceSummary(excerpts), lengths: OUTLINE_LENGTHS });
+  } catch (e) {
+    logFailure(req, "outline failed", e);
+    res.status(e.status || 500).json({ ok:false, ...describeError(e) });
+  }
+});
+
+// Step 2: POST /api/outline/draft { message, outline, … } streams the post as
+// ordinary deltas (title, intro, each ## section, closing) plus `progress`
+// events { stage, index, total, heading, status } around every stage.
+app.post("/api/outline/draft", limitGeneration, async (req, res) => {
+  let outline;
+  try { outline = normalizeOutline(req.body?.outline); }
+  catch (e) { return res.status(e.status || 400).json({ ok:false, error: String(e.message || e) }); }
+
+  const { message = "", context = [], sessionId = null, template = null } = req.body || {};
+  const { persona, tone, length } = resolveVoice(req.body);
+  res.writeHead(200, sseHeaders());
 
-    const safe = s => (s || "").replace(/[^\w\- ]+/g, "").trim().replace(/\s+/g, "_").slice(0, 60);
-    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
-    const base  = `${safe(title) || "hanza_session"}__${stamp}`;
-
-    const jsonName = `${base}.json`;
-    const jsonPath = safePathJoin(TRANSCRIPTS, jsonName);
-    const jsonDoc = { title, savedAt: new Date().toISOString(), transcript };
-    fs.writeFileSync(jsonPath, JSON.stringify(jsonDoc, null, 2), "utf8");
-
-    if (format === "md") {
-      const mdName = `${base}.md`;
-      const mdPath = safePathJoin(TRANSCRIPTS, mdName);
-      const md = transcript.map(t => `${t.role === "user" ? "You" : "Hanza"}:\n${t.text}\n`).join("\n---\n\n");
-      fs.writeFileSync(mdPath, md, "utf8");
-      return res.json({ ok:true, file: mdName, url: `/transcripts/${encodeURIComponent(mdName)}`, json: `/transcripts/${encodeURIComponent(jsonName)}` });
+  const userText = extractUserRequest(message) || outline.title;
+  const excerpts = await retrieveContext(userText, { pinned: context });
+  if (excerpts.length) writeSSEEvent(res, "sources", { sources: sourceSummary(excerpts) });
+  writeSSEEvent(res, "outline", { outline });
+
+  const notReady = LLM.check();
+  if (notReady) return writeSSEFailure(res, notConfigured(notReady));
+
+  const { sessions: store } = workspaceFor(req.user);
+  const used = templateMeta(template);
+  const userMsg = recordPrompt(store, sessionId, message || outline.title, used ? { template: used } : undefined);
+
+  const ac = new AbortController();
+  res.on("close", () => { if (!res.writableEnded) ac.abort(); });
+
+  // Only the closing stage may add the persona's sign-off.
+  const bodyPersona = persona ? { ...persona, sign_off: null } : null;
+  const budget = stageBudget(applyMultiplier(tokensForLength(length)), outline);
+  const meter = meterFor(req, "outline-draft");
+  const total = outline.sections.length + 2;
+
+  let post = "";
+  const emit = (d) => { post += d; writeDelta(res, d); };
+  const progress = (stage, index, status, heading = null) =>
+    writeSSEEvent(res, "progress", { stage, index, total, heading, status });
+
+  const runStage = async (prompt, voice) => {
+    const filter = leadingHeadingFilter(emit);
+    const { text } = await streamWithAutoContinue(buildMessages(prompt, tone, length, { excerpts, persona: voice }), budget, {
+      rounds: AUTOCONTINUE_ROUNDS, signal: ac.signal, meter, onDelta: filter.push
+    });
+    filter.flush();
+    return text;
+  };
+
+  try {
+    emit(`# ${outline.title}\n\n`);
+
+    progress("intro", 0, "start");
+    await runStage(introRequest(userText, outline), bodyPersona);
+    progress("intro", 0, "done");
+
+    const written = [];
+    for (const [i, sec] of outline.sections.entries()) {
+      progress("section", i + 1, "start", sec.heading);
+      emit(`\n\n## ${sec.heading}\n\n`);
+      const text = await runStage(sectionRequest(userText, outline, i, written), bodyPersona);
+      written.push({ heading: sec.heading, text });
+      progress("section", i + 1, "done", sec.heading);
     }
 
-    const pdfName = `${base}.pdf`;
-    const pdfPath = safePathJoin(TRANSCRIPTS, pdfName);
-    const doc = new PDFDocument({ margin: 50 });
-    const stream = fs.createWriteStream(pdfPath);
-    doc.pipe(stream);
-
-    doc.fontSize(18).text(title, { underline: false });
-    doc.moveDown(0.5);
-    transcript.forEach(({ role, text }) => {
-      doc.fontSize(12).fillColor("#555").text(role === "user" ? "You" : "Hanza");
-      doc.moveDown(0.1);
-      doc.fontSize(12).fillColor("#000").text(String(text || ""), { paragraphGap: 8 });
-      doc.moveDown(0.6);
+    progress("conclusion", total - 1, "start");
+    emit("\n\n");
+    await runStage(conclusionRequest(userText, outline, written), persona);
+    progress("conclusion", total - 1, "done");
+
+    const originality = ORIGINALITY_AUTO ? await originalityFor(post, { signal: ac.signal }) : null;
+    if (originality) writeSSEEvent(res, "originality", originality);
+    const botMsg = recordTurn(store, sessionId, "assistant", post, {
+      sources: sourceSummary(excerpts), persona: persona?.id || null, tone, length, mode: "outline", outline,
+      originality: originalitySummary(originality), ...(used ? { template: used } : {})
     });
+    if (sessionId) writeSSEEvent(res, "session", { sessionId, userMessageId: userMsg?.id || null, messageId: botMsg?.id || null });
+    res.write(`data: [DONE]\n\n`);
+    res.end();
+  } catch (e) {
+    if (ac.signal.aborted) {
+      recordTurn(store, sessionId, "assistant", post, { persona: persona?.id || null, tone, length, mode: "outline", outline, aborted: true });
+      return;
+    }
+    logFailure(req, "outline draft failed", e);
+    writeSSEFailure(res, e);
+  }
+});
 
-    doc.end();
-    stream.on("finish", () => res.json({ ok:true, file: pdfName, url: `/transcripts/${encodeURIComponent(pdfName)}`, json: `/transcripts/${encodeURIComponent(jsonName)}` }));
-    stream.on("error", (e) => res.status(500).json({ ok:false, error: String(e) }));
+/* ---------------- Revise a selected passage ---------------- */
+// { draft, selection, occurrence?, action: shorten|expand|formal|example|custom, instruction? }
+// → { patch: { start, end, before, after } } against `draft` as sent. The
+// client splices it in (keeping the old text for undo) and saves the reply.
+app.post("/api/revise", limitGeneration, async (req, res) => {
+  try {
+    const { draft = "", selection = "", occurrence = 0 } = req.body || {};
+    if (!String(draft).trim()) return res.status(400).json({ ok:false, error:"Missing 'draft'." });
+    const instruction = resolveInstruction(req.body);
+    const span = locateSelection(String(draft), String(selection), { occurrence });
+    const { persona, tone, length } = resolveVoice(req.body);
+
+    const notReady = LLM.check();
+    if (notReady) throw notConfigured(notReady);
+
+    const messages = buildMessages(reviseRequest(draft, span.before, instruction), tone, length, { persona: persona ? { ...persona, sign_off: null } : null });
+    const budget = Math.min(2000, Math.max(300, estimateTokens(span.before) * 3));
+    const ac = new AbortController();
+    res.on("close", () => { if (!res.writableEnded) ac.abort(); });
+    const { text } = await completeWithAutoContinue(messages, budget, { rounds: 2, meter: meterFor(req, "revise"), signal: ac.signal });
+    res.json({ ok:true, patch: { ...span, after: cleanRevision(text) }, actions: Object.keys(REVISE_ACTIONS) });
   } catch (e) {
-    res.status(500).json({ ok:false, error: String(e) });
+    logFailure(req, "revise failed", e);
+    res.status(e.status || 500).json({ ok:false, ...describeError(e) });
+  }
+});
+
+/* ---------------- Brand-voice lint ---------------- */
+// Rules: defaults ← LINT_RULES_FILE ← `rules` in the request body.
+app.get("/api/lint/rules", (_req, res) => res.json({ ok:true, rules: loadLintRules(LINT_RULES_FILE, null, { log }) }));
+
+// { draft, prompt?, rules?, fix? } → { report }. With fix, mechanical fixes
+// are applied first and a model pass handles the remaining warnings/errors;
+// the response adds { draft, before } so the client can save it as a version.
+app.post("/api/lint", (req, res, next) => (req.body?.fix ? limitGeneration(req, res, next) : next()), async (req, res) => {
+  try {
+    const { draft = "", prompt = "", fix = false } = req.body || {};
+    if (!String(draft).trim()) return res.status(400).json({ ok:false, error:"Missing 'draft'." });
+    const rules = loadLintRules(LINT_RULES_FILE, req.body?.rules, { log });
+    const report = lintDraft(String(draft), rules, { prompt });
+    if (!fix) return res.json({ ok:true, report });
+
+    const mechanical = applyLintFixes(String(draft), report.issues);
+    let fixed = mechanical.text;
+    let after = lintDraft(fixed, rules, { prompt });
+    const remaining = after.issues.filter(i => i.severity !== "info");
+    let model = false;
+    if (remaining.length && !LLM.check()) {
+      const { persona, tone, length } = resolveVoice(req.body);
+      const messages = buildMessages(lintFixRequest(fixed, remaining), tone, length, { persona: persona ? { ...persona, sign_off: null } : null });
+      const budget = Math.min(MAX_TOKEN_CAP, Math.max(600, estimateTokens(fixed) * 2));
+      const ac = new AbortController();
+      res.on("close", () => { if (!res.writableEnded) ac.abort(); });
+      const { text } = await completeWithAutoContinue(messages, budget, { rounds: 3, meter: meterFor(req, "lint-fix"), signal: ac.signal });
+      const candidate = parseFixedDraft(text);
+      const check = candidate ? lintDraft(candidate, rules, { prompt }) : null;
+      // Keep the model's version only if it actually scores better
+      if (check && check.score >= after.score) { fixed = candidate; after = check; model = true; }
+    }
+    res.json({ ok:true, draft: fixed, report: after, before: { score: report.score, issues: report.issues.length }, applied: mechanical.applied, model });
+  } catch (e) {
+    logFailure(req, "lint failed", e);
+    res.status(e.status || 500).json({ ok:false, ...describeError(e) });
+  }
+});
+
+/* ---------------- Originality (data/index.json) ---------------- */
+// { draft, shingle?, minOverlap?, minSimilarity? } → report with matches by file + chunk id.
+app.post("/api/originality", async (req, res) => {
+  try {
+    const { draft = "" } = req.body || {};
+    if (!String(draft).trim()) return res.status(400).json({ ok:false, error:"Missing 'draft'." });
+    const opts = { ...ORIGINALITY };
+    for (const k of Object.keys(ORIGINALITY)) {
+      if (req.body[k] != null && req.body[k] !== "" && Number.isFinite(Number(req.body[k]))) opts[k] = Number(req.body[k]);
+    }
+    opts.shingle = Math.min(20, Math.max(3, Math.round(opts.shingle)));
+    const report = await checkOriginality(String(draft), { index: loadIndex(INDEX_FILE), embedder: getEmbedder(), ...opts });
+    res.json({ ok:true, report });
+  } catch (e) {
+    logFailure(req, "originality failed", e);
+    res.status(e.status || 500).json({ ok:false, error: String(e.message || e) });
+  }
+});
+
+/* ---------------- SEO ---------------- */
+// { draft, keyword, title?, metaDescription?, slug?, og?, generate?, sessionId?, messageId? }
+// Analyzes the draft and suggests internal links. `generate` asks the model for
+// slug/meta/OG fields (the draft's own H1 and intro without a model). With a
+// session reply, the resulting metadata is stored on it for exports.
+app.post("/api/seo", (req, res, next) => (req.body?.generate ? limitGeneration(req, res, next) : next()), async (req, res) => {
+  try {
+    const { draft = "", keyword = "", generate = false, sessionId = null, messageId = null } = req.body || {};
+    if (!String(draft).trim()) return res.status(400).json({ ok:false, error:"Missing 'draft'." });
+    const fallback = defaultSeoMeta(String(draft), { keyword });
+    let meta = normalizeSeoMeta(req.body, fallback);
+    let model = false;
+    if (generate && !LLM.check()) {
+      const { persona, tone } = resolveVoice(req.body);
+      const messages = buildMessages(seoMetaRequest(draft, { keyword }), tone, null, { persona: persona ? { ...persona, sign_off: null } : null });
+      const ac = new AbortController();
+      res.on("close", () => { if (!res.writableEnded) ac.abort(); });
+      const { text } = await completeWithAutoContinue(messages, 600, { rounds: 1, meter: meterFor(req, "seo"), signal: ac.signal });
+      const generated = parseSeoMeta(text, fallback);
+      if (generated) { meta = { ...generated, keyword: meta.keyword }; model = true; }
+    }
+    const given = generate || ["title", "metaDescription", "slug", "og"].some(k => req.body?.[k]);
+    const report = analyzeSeo(String(draft), { keyword, title: given ? meta.title : "", metaDescription: given ? meta.metaDescription : "", slug: given ? meta.slug : "" });
+    const links = await linkSuggestions(loadIndex(INDEX_FILE), String(draft), { keyword, embedder: getEmbedder() }).catch(e => {
+      req.log.debug("link suggestions unavailable", { err: e });
+      return { suggestions: [], mode: null };
+    });
+
+    let saved = false;
+    if (given && sessionId && messageId) {
+      const s = sessionsOf(req).update(sessionId, s => {
+        const m = s.messages.find(x => x.id === messageId && x.role === "assistant");
+        if (!m) return;
+        m.meta = { ...(m.meta || {}), seo: meta };
+        saved = true;
+      });
+      if (!s) return res.status(404).json({ ok:false, error:"Not found" });
+      if (!saved) return res.status(404).json({ ok:false, error:"Message not found" });
+    }
+    res.json({ ok:true, report, links: links.suggestions, meta: given ? meta : null, generated: model, saved });
+  } catch (e) {
+    logFailure(req, "seo failed", e);
+    if (e.message === "Invalid session id") return sessionError(res, e);
+    res.status(e.status || 500).json({ ok:false, ...describeError(e) });
+  }
+});
+
+/* ---------------- Repurpose ---------------- */
+// { draft | sessionId + messageId, channels?, persona?, tone?, url? }
+// One finished post → newsletter, X/LinkedIn threads, Instagram caption and a
+// short video script. Channels are generated side by side; one failing doesn't
+// sink the others. Outputs breaking a platform limit get one repair round,
+// then are fitted mechanically (lib/repurpose.js); leftovers come back as issues.
+async function repurposeChannel(id, draft, { voice, url, meter, signal }) {
+  const { tokens } = REPURPOSE_CHANNELS[id];
+  const ask = async (prompt) => {
+    const messages = buildMessages(prompt, voice.tone, null, { persona: voice.persona ? { ...voice.persona, sign_off: null } : null });
+    const { text } = await completeWithAutoContinue(messages, tokens, { rounds: 1, meter, signal });
+    return parseChannelJson(text);
+  };
+  const first = await ask(repurposeRequest(id, draft, { url }));
+  if (!first) throw upstreamError("The model didn't return JSON for this channel.", { code: "empty_response", retryable: true });
+  let checked = validateChannel(id, first);
+  let repaired = false;
+  if (checked.issues.length && !signal?.aborted) {
+    const second = await ask(repairRequest(id, checked.value, checked.issues)).catch(() => null);
+    if (second) {
+      try { const again = validateChannel(id, second); if (again.issues.length < checked.issues.length) { checked = again; repaired = true; } }
+      catch { /* keep the first attempt */ }
+    }
+  }
+  if (!checked.issues.length) return { value: checked.value, issues: [], repaired, adjusted: [] };
+  const { value, changes } = enforceChannel(id, checked.value);
+  return { value, issues: validateChannel(id, value).issues, repaired, adjusted: changes };
+}
+
+app.post("/api/repurpose", limitGeneration, async (req, res) => {
+  try {
+    const { sessionId = null, messageId = null, url = "" } = req.body || {};
+    const channels = resolveChannels(req.body?.channels);
+    let draft = String(req.body?.draft || "");
+    if (!draft.trim() && sessionId && messageId) {
+      const s = sessionsOf(req).get(sessionId);
+      if (!s) return res.status(404).json({ ok:false, error:"Not found" });
+      const m = s.messages.find(x => x.id === messageId && x.role === "assistant");
+      if (!m) return res.status(404).json({ ok:false, error:"Message not found" });
+      draft = m.text;
+    }
+    if (!draft.trim()) return res.status(400).json({ ok:false, error:"Missing 'draft' (or 'sessionId' and 'messageId')." });
+    const notReady = LLM.check();
+    if (notReady) throw notConfigured(notReady);
+
+    const ac = new AbortController();
+    res.on("close", () => { if (!res.writableEnded) ac.abort(); });
+    const voice = resolveVoice(req.body);
+    const meter = meterFor(req, "repurpose");
+    const settled = await Promise.allSettled(channels.map(id =>
+      repurposeChannel(id, draft, { voice, url: String(url || "").trim(), meter, signal: ac.signal })));
+
+    const outputs = {};
+    channels.forEach((id, i) => {
+      const r = settled[i];
+      const { label, shape, brief, tokens, ...limits } = REPURPOSE_CHANNELS[id];
+      outputs[id] = r.status === "fulfilled"
+        ? { ok: true, label, limits, ...r.value }
+        : { ok: false, label, limits, ...describeError(r.reason) };
+    });
+    if (!Object.values(outputs).some(o => o.ok)) {
+      const reason = settled.find(r => r.status === "rejected")?.reason;
+      return res.status(reason?.status || 502).json({ ok:false, ...describeError(reason), outputs });
+    }
+    const title = draft.match(/^#\s+(.+)$/m)?.[1]?.trim() || "";
+    res.json({ ok:true, title, channels, outputs });
+  } catch (e) {
+    logFailure(req, "repurpose failed", e);
+    if (e.message === "Invalid session id") return sessionError(res, e);
+    res.status(e.status || 500).json({ ok:false, ...describeError(e) });
+  }
+});
+
+/* ---------------- Search (data/index.json) ---------------- */
+app.get("/api/search", async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim();
+    if (!q) return res.status(400).json({ ok:false, error:"Missing 'q'." });
+    const mode  = ["semantic", "hybrid", "keyword"].includes(req.query.mode) ? req.query.mode : "hybrid";
+    const k     = Math.min(50, Math.max(1, Number(req.query.k || 10)));
+    const alpha = Math.min(1, Math.max(0, Number(req.query.alpha ?? 0.6)));
+    const index = loadIndex(INDEX_FILE);
+    if (!index?.records.length) return res.json({ ok:true, q, mode, groups: [] });
+
+    try {
+      const out = await searchIndex(index, q, { embedder: getEmbedder(), mode, alpha, k });
+      res.json({ ok:true, q, ...out });
+    } catch (e) {
+      // Embedding unavailable (no key, model mismatch): degrade to keywords.
+      if (mode === "keyword") throw e;
+      req.log.debug("semantic search unavailable", { err: e });
+      const out = await searchIndex(index, q, { mode: "keyword", k });
+      res.json({ ok:true, q, ...out, warning: `Semantic search unavailable (${e.message || e}); showing keyword matches.` });
+    }
+  } catch (e) {
+    res.status(500).json({ ok:false, error: String(e.message || e) });
   }
 });
-app.get("/api/transcripts", async (_req, res) => {
+
+/* ---------------- Source library (data/sources) ---------------- */
+// Shared by every writer for retrieval; only admins add, edit or re-index.
+// Index writes are serialized so concurrent edits can't clobber each other.
+let indexQueue = Promise.resolve();
+function queueReindex(file) {
+  const job = indexQueue.then(() => reindexSource({ srcDir: SOURCES_DIR, indexFile: INDEX_FILE, embedder: getEmbedder(), file }));
+  indexQueue = job.catch(() => {});
+  return job;
+}
+const indexedFiles = () => loadIndex(INDEX_FILE)?.files || {};
+
+// Re-index after a write unless ?reindex=false; failures are reported, not fatal.
+async function reindexAfterWrite(req, file) {
+  if (String(req.query.reindex ?? "true") === "false") return { indexed: false };
   try {
-    const files = fs.readdirSync(TRANSCRIPTS).filter(f => f.endsWith(".pdf") || f.endsWith(".md"));
+    const r = await queueReindex(file);
+    return { indexed: true, chunks: r.chunks };
+  } catch (e) {
+    logFailure(req, "reindex failed", e);
+    return { indexed: false, indexError: String(e.message || e) };
+  }
+}
+
+app.get("/api/sources", (_req, res) => {
+  try {
+    res.json({ ok:true, sources: listSourceDocs(SOURCES_DIR, indexedFiles()) });
+  } catch (e) {
+    res.status(500).json({ ok:false, error: String(e.message || e) });
+  }
+});
+app.post("/api/sources", requireRole("admin"), async (req, res) => {
+  try {
+    const { title = "", url, date, tags, content = "" } = req.body || {};
+    if (!String(content).trim()) return res.status(400).json({ ok:false, error:"Missing 'content'." });
+    fs.mkdirSync(SOURCES_DIR, { recursive: true });
+    const file = uniqueSourceName(SOURCES_DIR, title || String(content).split("\n").find(Boolean));
+    writeSourceDoc(SOURCES_DIR, file, { title, url, date, tags, content });
+    const index = await reindexAfterWrite(req, file);
+    res.status(201).json({ ok:true, file, ...index, source: readSourceDoc(SOURCES_DIR, file, indexedFiles()) });
+  } catch (e) {
+    res.status(500).json({ ok:false, error: String(e.message || e) });
+  }
+});
+app.get("/api/sources/:file", (req, res) => {
+  try {
+    const doc = readSourceDoc(SOURCES_DIR, req.params.file, indexedFiles());
+    if (!doc) return res.status(404).json({ ok:false, error:"Not found" });
+    res.json({ ok:true, source: doc });
+  } catch (e) {
+    res.status(400).json({ ok:false, error: String(e.message || e) });
+  }
+});
+app.put("/api/sources/:file", requireRole("admin"), async (req, res) => {
+  try {
+    const file = req.params.file;
+    if (!fs.existsSync(sourcePath(SOURCES_DIR, file))) return res.status(404).json({ ok:false, error:"Not found" });
+    const { title, url, date, tags, content } = req.body || {};
+    writeSourceDoc(SOURCES_DIR, file, { title, url, date, tags, content });
+    const index = await reindexAfterWrite(req, file);
+    res.json({ ok:true, file, ...index, source: readSourceDoc(SOURCES_DIR, file, indexedFiles()) });
+  } catch (e) {
+    res.status(400).json({ ok:false, error: String(e.message || e) });
+  }
+});
+app.delete("/api/sources/:file", requireRole("admin"), async (req, res) => {
+  try {
+    const file = req.params.file;
+    if (!deleteSourceDoc(SOURCES_DIR, file)) return res.status(404).json({ ok:false, error:"Not found" });
+    const index = await reindexAfterWrite(req, file);
+    res.json({ ok:true, file, ...index });
+  } catch (e) {
+    res.status(400).json({ ok:false, error: String(e.message || e) });
+  }
+});
+app.post("/api/sources/:file/reindex", requireRole("admin"), async (req, res) => {
+  try {
+    const file = req.params.file;
+    if (!fs.existsSync(sourcePath(SOURCES_DIR, file))) return res.status(404).json({ ok:false, error:"Not found" });
+    const r = await queueReindex(file);
+    res.json({ ok:true, file, chunks: r.chunks });
+  } catch (e) {
+    res.status(500).json({ ok:false, error: String(e.message || e) });
+  }
+});
+
+/* ---------------- Publishing ---------------- */
+// Targets are re-read per request, so edits to publish-targets.json apply
+// without a restart.
+const publishTargets = () => loadPublishTargets(PUBLISH_TARGETS_FILE, { root: __dirname, log });
+
+app.get("/api/publish/targets", (_req, res) => {
+  res.json({ ok:true, targets: publishTargets().map(targetSummary) });
+});
+
+// { sessionId, messageId, target, status: "draft" | "scheduled", publishAt?, title? }
+// Publishes the reply's chosen version (with its SEO metadata). Publishing
+// the same reply to the same target again updates the remote post; the
+// remote id/URL are kept on the message under meta.publications[target].
+app.post("/api/publish", async (req, res) => {
+  try {
+    const { sessionId, messageId, target: targetId, status = "draft", publishAt = null, title = "" } = req.body || {};
+    if (!sessionId || !messageId) return res.status(400).json({ ok:false, error:"Missing 'sessionId' or 'messageId'." });
+    const target = publishTargets().find(t => t.id === targetId);
+    if (!target) return res.status(404).json({ ok:false, error:`Unknown publish target '${targetId}'.` });
+
+    const store = sessionsOf(req);
+    const s = store.get(sessionId);
+    if (!s) return res.status(404).json({ ok:false, error:"Not found" });
+    const m = s.messages.find(x => x.id === messageId && x.role === "assistant");
+    if (!m) return res.status(404).json({ ok:false, error:"Message not found" });
+
+    let doc;
+    try { doc = buildExportDoc({ transcript: [{ role: "assistant", text: m.text }], scope: "reply", replyIndex: 0, title: String(title || "").trim(), seo: m.meta?.seo || null }); }
+    catch (e) { throw Object.assign(e, { status: 400 }); }
+    const post = buildPost(doc, { status, publishAt });
+    const previous = m.meta?.publications?.[target.id] || null;
+
+    const ac = new AbortController();
+    res.on("close", () => { if (!res.writableEnded) ac.abort(); });
+    const { remoteId, url } = await createPublisher(target)(post, { remoteId: previous?.remoteId || null, signal: ac.signal });
+
+    const publication = {
+      target: target.id, type: target.type, remoteId, url,
+      status: post.status, publishAt: post.publishAt,
+      at: new Date().toISOString(), ...(previous ? { firstAt: previous.firstAt || previous.at } : {})
+    };
+    store.update(sessionId, s => {
+      const msg = s.messages.find(x => x.id === messageId);
+      if (msg) msg.meta = { ...(msg.meta || {}), publications: { ...(msg.meta?.publications || {}), [target.id]: publication } };
+    });
+    res.json({ ok:true, publication, updated: !!previous });
+  } catch (e) {
+    logFailure(req, "publish failed", e);
+    if (e.message === "Invalid session id") return sessionError(res, e);
+    res.status(e.status || 500).json({ ok:false, error: String(e.message || e) });
+  }
+});
+
+/* ---------------- Save/list/delete transcripts ---------------- */
+// Writes <title>__<stamp>.json plus the requested export (pdf | md | html | docx)
+// into the user's transcripts folder. scope "reply" exports one assistant turn as
+// a blog draft. Files are served only through the authenticated download route.
+const EXPORT_EXT_RE = new RegExp(`\\.(${EXPORT_FORMATS.join("|")})$`, "i");
+const transcriptUrl = (name) => `/api/transcripts/${encodeURIComponent(name)}`;
+
+async function exportTranscript(dir, { transcript = [], format = "pdf", title = "hanza_session", scope = "transcript", replyIndex = null, seo = null } = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw Object.assign(new Error(`Unsupported format '${format}'. Use one of: ${EXPORT_FORMATS.join(", ")}.`), { status: 400 });
+  }
+  let doc;
+  try { doc = buildExportDoc({ transcript, title, scope, replyIndex, seo }); }
+  catch (e) { throw Object.assign(e, { status: 400 }); }
+
+  const safe = s => (s || "").replace(/[^\w\- ]+/g, "").trim().replace(/\s+/g, "_").slice(0, 60);
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const base  = `${safe(scope === "reply" ? doc.title : title) || "hanza_session"}__${stamp}`;
+  const jsonName = `${base}.json`;
+  const jsonPath = safePathJoin(dir, jsonName);
+  const jsonDoc = { title: doc.title, scope, savedAt: new Date().toISOString(), transcript };
+  fs.writeFileSync(jsonPath, JSON.stringify(jsonDoc, null, 2), "utf8");
+
+  const outName = `${base}.${format}`;
+  fs.writeFileSync(safePathJoin(dir, outName), await renderExport(doc, format));
+  return { file: outName, url: transcriptUrl(outName), json: transcriptUrl(jsonName), format, scope, title: doc.title };
+}
+
+app.post("/api/save", async (req, res) => {
+  try {
+    const { transcript = [], format = "pdf", scope = "transcript", replyIndex = null } = req.body || {};
+    const seo = req.body?.seo && typeof req.body.seo === "object" ? normalizeSeoMeta(req.body.seo) : null;
+    const title = req.body?.title || (scope === "reply" ? "" : "hanza_session");
+    if (!Array.isArray(transcript) || !transcript.length) return res.json({ ok:false, error:"empty transcript" });
+    if (transcript.length > 2000) return res.status(413).json({ ok:false, error:"transcript too large" });
+
+    const out = await exportTranscript(workspaceFor(req.user).transcripts, { transcript, format, title, scope, replyIndex, seo });
+    res.json({ ok:true, ...out });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok:false, error: String(e.message || e) });
+  }
+});
+app.get("/api/transcripts", async (req, res) => {
+  try {
+    const dir = workspaceFor(req.user).transcripts;
+    const files = fs.readdirSync(dir).filter(f => EXPORT_EXT_RE.test(f));
     const list = files.map(f => {
-      const st = fs.statSync(path.join(TRANSCRIPTS, f));
-      const baseNoExt = f.replace(/\.(pdf|md)$/i, "");
+      const st = fs.statSync(path.join(dir, f));
+      const baseNoExt = f.replace(EXPORT_EXT_RE, "");
       const jsonName = `${baseNoExt}.json`;
-      const jsonExists = fs.existsSync(path.join(TRANSCRIPTS, jsonName));
-      return { name: f, size: st.size, mtime: st.mtime, url: `/transcripts/${encodeURIComponent(f)}`, jsonUrl: jsonExists ? `/transcripts/${encodeURIComponent(jsonName)}` : null };
+      const jsonExists = fs.existsSync(path.join(dir, jsonName));
+      return { name: f, size: st.size, mtime: st.mtime, url: transcriptUrl(f), jsonUrl: jsonExists ? transcriptUrl(jsonName) : null };
     }).sort((a,b)=> b.mtime - a.mtime);
     res.json({ ok:true, files: list });
   } catch (e) {
     res.status(500).json({ ok:false, error: String(e) });
   }
 });
+// Owner-only download; ?download=1 forces an attachment.
+app.get("/api/transcripts/:file", (req, res) => {
+  try {
+    const file = safeBasename(req.params.file);
+    const target = safePathJoin(workspaceFor(req.user).transcripts, file);
+    if (!/\.json$/i.test(file) && !EXPORT_EXT_RE.test(file)) return res.status(400).json({ ok:false, error:"Invalid filename" });
+    if (!fs.existsSync(target)) return res.status(404).json({ ok:false, error:"Not found" });
+    const ext = path.extname(file).slice(1).toLowerCase();
+    res.setHeader("Content-Type", EXPORT_MIME[ext] || "application/json; charset=utf-8");
+    res.setHeader("Cache-Control", "private, no-store");
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("Content-Security-Policy", "sandbox"); // exported HTML never runs script on our origin
+    if (req.query.download) res.attachment(file);
+    res.sendFile(target);
+  } catch (e) {
+    res.status(400).json({ ok:false, error: String(e.message || e) });
+  }
+});
 app.delete("/api/transcripts/:file", (req, res) => {
   try {
     const raw = req.params.file;
     const file = safeBasename(raw);
-    const target = safePathJoin(TRANSCRIPTS, file);
+    const dir = workspaceFor(req.user).transcripts;
+    const target = safePathJoin(dir, file);
     if (!fs.existsSync(target)) return res.status(404).json({ ok:false, error:"Not found" });
     fs.unlinkSync(target);
-    const baseNoExt = file.replace(/\.(pdf|md)$/i, "");
-    const jsonPath = safePathJoin(TRANSCRIPTS, `${baseNoExt}.json`);
+    const baseNoExt = file.replace(EXPORT_EXT_RE, "");
+    const jsonPath = safePathJoin(dir, `${baseNoExt}.json`);
     if (fs.existsSync(jsonPath)) fs.unlinkSync(jsonPath);
     res.json({ ok:true });
   } catch (e) {
@@ -594,8 +1692,240 @@ app.delete("/api/transcripts/:file", (req, res) => {
   }
 });
 
+/* ---------------- Usage report ---------------- */
+// Writers see their own usage; admins see everyone (or ?user=<id>).
+app.get("/api/usage", (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const user = req.user.role === "admin" ? (req.query.user || null) : req.user.id;
+    const report = usage.report({ from, to, user });
+    res.json({
+      ok: true,
+      ...report,
+      quota: quotaStatus(req.user),
+      rateLimit: { perMinute: RATE_LIMIT_PER_MIN || null }
+    });
+  } catch (e) {
+    res.status(500).json({ ok:false, error: String(e.message || e) });
+  }
+});
+
+/* ---------------- Sessions API ---------------- */
+const sessionError = (res, e) =>
+  res.status(/Invalid session id/.test(String(e?.message)) ? 400 : 500).json({ ok:false, error: String(e.message || e) });
+
+const sessionsOf = (req) => workspaceFor(req.user).sessions;
+
+app.get("/api/sessions", (req, res) => {
+  try { res.json({ ok:true, sessions: sessionsOf(req).list() }); }
+  catch (e) { sessionError(res, e); }
+});
+app.post("/api/sessions", (req, res) => {
+  try {
+    const { title, messages = [] } = req.body || {};
+    const s = sessionsOf(req).create({ title, messages });
+    res.status(201).json({ ok:true, session: s });
+  } catch (e) { sessionError(res, e); }
+});
+app.get("/api/sessions/:id", (req, res) => {
+  try {
+    const s = sessionsOf(req).get(req.params.id);
+    if (!s) return res.status(404).json({ ok:false, error:"Not found" });
+    res.json({ ok:true, session: s });
+  } catch (e) { sessionError(res, e); }
+});
+app.patch("/api/sessions/:id", (req, res) => {
+  try {
+    const { title } = req.body || {};
+    if (!String(title || "").trim()) return res.status(400).json({ ok:false, error:"Missing 'title'." });
+    const s = sessionsOf(req).rename(req.params.id, String(title).trim());
+    if (!s) return res.status(404).json({ ok:false, error:"Not found" });
+    res.json({ ok:true, session: sessionsOf(req).summary(s) });
+  } catch (e) { sessionError(res, e); }
+});
+app.post("/api/sessions/:id/messages", (req, res) => {
+  try {
+    const body = req.body || {};
+    const list = Array.isArray(body.messages) ? body.messages : [body];
+    if (!list.length || list.some(m => !String(m?.text ?? m?.content ?? "").trim())) {
+      return res.status(400).json({ ok:false, error:"Each message needs 'role' and 'text'." });
+    }
+    const added = sessionsOf(req).append(req.params.id, list);
+    if (!added) return res.status(404).json({ ok:false, error:"Not found" });
+    res.status(201).json({ ok:true, messages: added });
+  } catch (e) { sessionError(res, e); }
+});
+// Reply versions: { text, source } adds a draft (revise, manual edit) and
+// makes it current; { versionId } switches back to a stored one.
+app.post("/api/sessions/:id/messages/:messageId/versions", (req, res) => {
+  try {
+    const { text, source = "edit" } = req.body || {};
+    if (!String(text ?? "").trim()) return res.status(400).json({ ok:false, error:"Missing 'text'." });
+    const msg = sessionsOf(req).addVersion(req.params.id, req.params.messageId, { text: String(text), source });
+    if (!msg) return res.status(404).json({ ok:false, error:"Not found" });
+    res.status(201).json({ ok:true, message: msg, versionId: msg.version });
+  } catch (e) { sessionError(res, e); }
+});
+app.patch("/api/sessions/:id/messages/:messageId", (req, res) => {
+  try {
+    const { versionId } = req.body || {};
+    if (!versionId) return res.status(400).json({ ok:false, error:"Missing 'versionId'." });
+    const msg = sessionsOf(req).selectVersion(req.params.id, req.params.messageId, String(versionId));
+    if (!msg) return res.status(404).json({ ok:false, error:"Not found" });
+    res.json({ ok:true, message: msg });
+  } catch (e) { sessionError(res, e); }
+});
+app.delete("/api/sessions/:id", (req, res) => {
+  try {
+    if (!sessionsOf(req).remove(req.params.id)) return res.status(404).json({ ok:false, error:"Not found" });
+    res.json({ ok:true });
+  } catch (e) { sessionError(res, e); }
+});
+// Export on demand from the stored turns; `messageId` exports that reply alone.
+app.post("/api/sessions/:id/export", async (req, res) => {
+  try {
+    const s = sessionsOf(req).get(req.params.id);
+    if (!s) return res.status(404).json({ ok:false, error:"Not found" });
+    if (!s.messages.length) return res.json({ ok:false, error:"empty session" });
+    const { format = "pdf", messageId = null } = req.body || {};
+    const title = req.body?.title || (messageId ? "" : s.title);
+    const replyIndex = messageId ? s.messages.findIndex(m => m.id === messageId) : null;
+    if (messageId && replyIndex < 0) return res.status(404).json({ ok:false, error:"Message not found" });
+    const transcript = s.messages.map(({ role, text }) => ({ role, text }));
+    const seo = messageId ? s.messages[replyIndex].meta?.seo || null : null;
+    const out = await exportTranscript(workspaceFor(req.user).transcripts, { transcript, format, title, scope: messageId ? "reply" : "transcript", replyIndex, seo });
+    res.json({ ok:true, ...out });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ ok:false, error: String(e.message) });
+    sessionError(res, e);
+  }
+});
+
+/* ---------------- Batch jobs (data/jobs) ---------------- */
+// One draft per topic, each saved as its own session (and optionally
+// exported). JOB_CONCURRENCY items run at once; upstream errors are retried
+// JOB_MAX_ATTEMPTS times with exponential backoff from JOB_RETRY_MS.
+const JOB_FORMATS = [null, ...EXPORT_FORMATS];
+
+async function runJobItem(job, item, { signal }) {
+  const user = { id: job.user, username: job.username };
+  const notReady = LLM.check();
+  if (notReady) throw Object.assign(new Error(notReady), { retryable: false });
+  const q = quotaStatus(user);
+  if (q.daily && q.used >= q.daily) throw Object.assign(new Error("Daily token quota reached; retry the job after midnight UTC."), { retryable: false });
+
+  const { persona, tone, length } = resolveVoice(job.options);
+  const excerpts = await retrieveContext(item.topic, { signal });
+  const messages = buildMessages(item.topic, tone, length, { excerpts, persona });
+  const { text, incompleteReason } = await completeWithAutoContinue(messages, applyMultiplier(tokensForLength(length)), {
+    rounds: AUTOCONTINUE_ROUNDS,
+    meter: meterFor({ user, id: `job-${job.id}-${item.index}` }, "job"),
+    signal
+  });
+  if (!String(text || "").trim()) throw Object.assign(new Error("No content returned by the model."), { retryable: true });
+  if (signal.aborted) return null;
+
+  const ws = workspaceFor(user);
+  const session = ws.sessions.create({
+    title: item.topic,
+    messages: [
+      { role: "user", text: item.topic },
+      { role: "assistant", text, meta: { sources: sourceSummary(excerpts), persona: persona?.id || null, tone, length, incompleteReason, job: job.id } }
+    ]
+  });
+  const result = { sessionId: session.id, messageId: session.messages[1].id, title: text.match(/^#\s+(.+)/m)?.[1].trim() || item.topic };
+  if (job.options.format) {
+    const transcript = session.messages.map(({ role, text }) => ({ role, text }));
+    const out = await exportTranscript(ws.transcripts, { transcript, format: job.options.format, title: "", scope: "reply", replyIndex: 1 });
+    result.export = { file: out.file, url: out.url, format: out.format };
+  }
+  return result;
+}
+
+const jobs = createJobQueue({
+  dir: path.join(DATA_DIR, "jobs"),
+  run: runJobItem,
+  concurrency: Math.min(8, Math.max(1, Number(process.env.JOB_CONCURRENCY || 2))),
+  maxAttempts: Math.min(10, Math.max(1, Number(process.env.JOB_MAX_ATTEMPTS || 3))),
+  backoffMs: Math.max(100, Number(process.env.JOB_RETRY_MS || 5000)),
+  log
+});
+
+// Jobs are private to their owner (404 for anyone else).
+const ownJob = (req) => {
+  const job = jobs.get(req.params.id);
+  return job && job.user === (req.user?.id || LOCAL_USER.id) ? job : null;
+};
+const jobError = (res, e) => res.status(e.status || 500).json({ ok:false, error: String(e.message || e) });
+
+// { topics: [..] | "one per line", tone?, length?, persona?, format?: md|html|pdf|docx }
+app.post("/api/jobs", limitGeneration, (req, res) => {
+  try {
+    const { topics, format = null } = req.body || {};
+    if (!JOB_FORMATS.includes(format || null)) return res.status(400).json({ ok:false, error:`Unsupported format '${format}'. Use one of: ${EXPORT_FORMATS.join(", ")}.` });
+    const { persona, tone, length } = resolveVoice(req.body);
+    const job = jobs.create({
+      user: req.user?.id || LOCAL_USER.id,
+      username: req.user?.username || null,
+      topics,
+      options: { persona: persona?.id || "none", tone, length, format: format || null }
+    });
+    res.status(201).json({ ok:true, job });
+  } catch (e) { jobError(res, e); }
+});
+
+app.get("/api/jobs", (req, res) => {
+  const me = req.user?.id || LOCAL_USER.id;
+  res.json({ ok:true, jobs: jobs.list(j => j.user === me) });
+});
+
+app.get("/api/jobs/:id", (req, res) => {
+  const job = ownJob(req);
+  if (!job) return res.status(404).json({ ok:false, error:"Not found" });
+  res.json({ ok:true, job });
+});
+
+// SSE: a `job` event with the full job now and on every change; ends when it finishes.
+app.get("/api/jobs/:id/events", (req, res) => {
+  const job = ownJob(req);
+  if (!job) return res.status(404).json({ ok:false, error:"Not found" });
+  res.writeHead(200, sseHeaders());
+  const finish = () => { unsubscribe(); clearInterval(ping); res.write(`data: [DONE]\n\n`); res.end(); };
+  const send = (j) => {
+    writeSSEEvent(res, "job", { job: j });
+    if (!["queued", "running"].includes(j.status)) finish();
+  };
+  const unsubscribe = jobs.subscribe(j => { if (j.id === job.id) send(j); });
+  const ping = setInterval(() => res.write(": ping\n\n"), 25_000);
+  res.on("close", () => { unsubscribe(); clearInterval(ping); });
+  send(job);
+});
+
+app.post("/api/jobs/:id/cancel", (req, res) => {
+  if (!ownJob(req)) return res.status(404).json({ ok:false, error:"Not found" });
+  res.json({ ok:true, job: jobs.cancel(req.params.id) });
+});
+
+app.post("/api/jobs/:id/retry", limitGeneration, (req, res) => {
+  if (!ownJob(req)) return res.status(404).json({ ok:false, error:"Not found" });
+  res.json({ ok:true, job: jobs.retry(req.params.id) });
+});
+
+app.delete("/api/jobs/:id", (req, res) => {
+  try {
+    if (!ownJob(req)) return res.status(404).json({ ok:false, error:"Not found" });
+    jobs.remove(req.params.id);
+    res.json({ ok:true });
+  } catch (e) { jobError(res, e); }
+});
+
 app.listen(PORT, () => {
-  console.log(`✅ Server running at http://localhost:${PORT}`);
-  console.log("Using model:", MODEL, "| DEMO_MODE:", DEMO, "| api_mode:", IS_GPT5 ? "responses" : "chat");
-  if (!HAS_KEY) console.log("⚠️ OPENAI_API_KEY is missing.");
+  log.info("server running", { url: `http://localhost:${PORT}`, model: LLM.model, provider: LLM.name, api_mode: LLM.api_mode });
+  const notReady = LLM.check();
+  if (notReady) log.warn(`${notReady}.`);
+  if (!AUTH_ENABLED) log.warn("AUTH_ENABLED=false: every visitor is treated as a local admin.");
+  else if (!auth.hasUsers()) {
+    log.warn("No accounts yet: open the app to create the admin (other machines need the setup token), or set ADMIN_USERNAME/ADMIN_PASSWORD.",
+      process.env.SETUP_TOKEN ? {} : { setupToken: SETUP_TOKEN });
+  }
 });